@@ -1,149 +1,1242 @@
 #!/usr/bin/env node
-import { program } from 'commander';
+import { InvalidArgumentError, program } from 'commander';
 import blessed from 'blessed';
 import figlet from 'figlet';
-import os from 'os';
+import inquirer from 'inquirer';
 import fs from 'fs';
 import path from 'path';
+import {
+  attachFile,
+  countTitleLinks,
+  createNote,
+  decryptNote,
+  detachFile,
+  deleteNote,
+  encryptNote,
+  findLinkedNote,
+  getAllNotes,
+  getAttachment,
+  getBacklinks,
+  getDueReminders,
+  getGitRemote,
+  getNoteById,
+  getNoteSummaries,
+  getOpenTasks,
+  searchNotes,
+  setNotesDir,
+  countSyncConflicts,
+  emptyTrash,
+  getNoteHistory,
+  getNoteRevision,
+  getTrashedNoteById,
+  getSyncConflicts,
+  getTrashedNotes,
+  getUnreadableNoteFiles,
+  hasVault,
+  initGitSync,
+  initVault,
+  isEncryptAll,
+  isGitSync,
+  isVaultUnlocked,
+  listTags,
+  lockVault,
+  markReminded,
+  migrateNotes,
+  openDailyNote,
+  purgeExpiredTrash,
+  purgeNote,
+  restoreNote,
+  resolveNotesDir,
+  resolveSyncConflict,
+  restoreNoteRevision,
+  rewriteIncomingLinks,
+  setEncryptAll,
+  setNoteFavourite,
+  setNotePinned,
+  setNoteTaskDone,
+  syncNotes,
+  unlockVault,
+  updateNote
+} from './src/notes.js';
+import { expandHome } from './src/config.js';
+import { getNoteTags, noteHasTag, parseTagList } from './src/tags.js';
+import { applyAccents, getThemeName, listThemes, loadTheme, nextThemeName, setThemeName } from './src/themes.js';
+import { STORE_FORMATS } from './src/store.js';
+import { setLockTimeout } from './src/files.js';
+import { DEFAULT_PORT, getServerTokenPath, loadServerToken, SERVER_HOST, startServer } from './src/server.js';
+import { getSortMode, isSortMode, nextSortMode, setSortMode, SORT_MODES, sortNotes } from './src/sort.js';
+import { diffLines, markConflicts } from './src/diff.js';
+import { addDays, formatDay, groupNotesByDay, parseDay } from './src/daily.js';
+import { buildAgenda, formatWhen, getDueStatus, parseWhen } from './src/dates.js';
+import { extractLinks } from './src/links.js';
+import { extractTasks } from './src/tasks.js';
+import { fillTemplate, getDateValues, getTemplatePrompts, listTemplates, loadTemplate } from './src/templates.js';
+import { findAction, formatBar, formatKey, loadKeymap, VIEW_TITLES } from './src/keymap.js';
+import { escapeTags, renderMarkdownWithLinks } from './src/markdown.js';
+import {
+  editNoteContent,
+  getEditorShellCommand,
+  readEditedContent,
+  removeEditFile,
+  writeEditFile
+} from './src/editor.js';
+import { exportAttachment, formatSize, openAttachment } from './src/attachments.js';
+import {
+  applyImport,
+  CONFLICT_ACTIONS,
+  EXPORT_FORMATS,
+  formatExport,
+  planImport,
+  readBackup,
+  writeSplitExport
+} from './src/backup.js';
 
 /******************************************************************************
- * 1) DETECT OS AND SET NOTES FOLDER OUTSIDE THE NPM PACKAGE
+ * 1) THEME & LAYOUT
  ******************************************************************************/
 
-function getNotesDir() {
-  const platform = os.platform();
-  if (platform === 'win32') {
-    const baseDir = process.env.APPDATA || os.homedir();
-    return path.join(baseDir, 'Taccuino', 'notes');
-  } else if (platform === 'darwin') {
-    return path.join(os.homedir(), 'Library', 'Application Support', 'Taccuino', 'notes');
-  } else {
-    return path.join(os.homedir(), '.taccuino', 'notes');
-  }
-}
+// Active colour theme (see src/themes.js), loaded when the UI opens
+let theme = null;
 
-const NOTES_DIR = getNotesDir();
-if (!fs.existsSync(NOTES_DIR)) {
-  fs.mkdirSync(NOTES_DIR, { recursive: true });
-}
+const BANNER_HEIGHT = 9;
+const BOTTOM_BAR_HEIGHT = 3;
+
+// The note list gets a preview pane beside it on terminals at least this wide
+const PREVIEW_MIN_WIDTH = 100;
+const LIST_PANE_PERCENT = 45;
+
+// Month grid of the calendar: seven 5-column days, a margin and the border
+const CALENDAR_WIDTH = 39;
+
+// Waiting for another process's lock on the notes freezes the screen, so the
+// UI gives up after this long and shows the error instead
+const UI_LOCK_TIMEOUT_MS = 300;
+
+// Re-fits the view on screen after a terminal resize (set by views that
+// change their layout with the width)
+let relayoutView = null;
+
+// Tag currently narrowing the note list (null = all notes)
+let activeTag = null;
+
+// Note list only shows favourite notes
+let favouritesOnly = false;
+
+// Note view shows the Markdown source instead of the rendered text
+let showRawMarkdown = false;
+
+// Ids of the notes left by following [[links]], for Backspace in the note view
+let noteTrail = [];
+
+// Unreadable note files already pointed out, so the list tells about each once
+const reportedUnreadable = new Set();
+
+// Key bindings (see src/keymap.js), loaded when the UI opens
+let keymap = null;
+
+// View on screen and its key handlers by action: { view, handlers }
+let viewKeys = null;
 
 /******************************************************************************
- * 2) NOTE LOGIC
+ * 2) COMMANDER CLI CONFIG
  ******************************************************************************/
 
-function getNoteFilePath(noteId) {
-  return path.join(NOTES_DIR, `${noteId}.json`);
+// Exit codes of the scriptable subcommands
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  NO_MATCH: 4,
+  LOCKED: 5,
+  DUE: 6,
+  CONFLICT: 7
+};
+
+program
+  .version('1.0.0')
+  .description('Taccuino - CLI Note Manager')
+  .option('--dir <path>', 'notes directory (overrides TACCUINO_DIR and the config file)')
+  .option('--unlock', 'ask for the vault passphrase so encrypted notes can be read')
+  .exitOverride(err => {
+    process.exit(err.exitCode === 0 ? EXIT.OK : EXIT.USAGE);
+  })
+  .hook('preAction', async () => {
+    setNotesDir(program.opts().dir);
+    try {
+      purgeExpiredTrash();
+      // TACCUINO_PASSPHRASE unlocks without asking, handy for scripts
+      if (program.opts().unlock || (process.env.TACCUINO_PASSPHRASE && hasVault())) {
+        if (!(await ensureUnlocked())) {
+          throw new Error('--unlock needs a terminal or TACCUINO_PASSPHRASE');
+        }
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(EXIT.ERROR);
+    }
+  });
+
+program
+  .command('open')
+  .description('Open the Taccuino full-screen interface')
+  .option('--theme <name>', 'colour theme for this session (default: the last one picked in the UI)')
+  .action(runCommand(opts => {
+    theme = loadTheme(opts.theme ?? getThemeName());
+    keymap = loadKeymap();
+    openUI();
+    return EXIT.OK;
+  }));
+
+program
+  .command('themes')
+  .description('List the colour themes, built-in and from the themes folder of the config directory')
+  .action(runCommand(() => {
+    const current = getThemeName();
+    for (const name of listThemes()) {
+      console.log(`${name === current ? '*' : ' '} ${name}`);
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('add')
+  .description('Create a note (content from --content, stdin or a template)')
+  .requiredOption('-t, --title <title>', 'note title')
+  .option('-c, --content <content>', 'note content')
+  .option('--template <name>', 'start from a template of the config directory')
+  .option('--set <label=value>', 'value of a {{prompt:label}} of the template (repeatable)', collectPromptValue, {})
+  .option('--tags <tags>', 'comma-separated tags')
+  .option('--due <when>', 'due date, e.g. +3d, "tomorrow 9:00" or 2025-03-14')
+  .option('--remind <when>', 'reminder time, same forms as --due')
+  .option('--json', 'print the created note as JSON')
+  .action(runCommand(async opts => {
+    const title = opts.title.trim();
+    if (!title) {
+      console.error('Error: title is required');
+      return EXIT.USAGE;
+    }
+    const dates = parseDateOptions(opts);
+    if (!dates) {
+      return EXIT.USAGE;
+    }
+    if (isEncryptAll() && !isVaultUnlocked()) {
+      console.error('Error: new notes are encrypted and the vault is locked, use --unlock or TACCUINO_PASSPHRASE');
+      return EXIT.LOCKED;
+    }
+    let content = opts.content;
+    if (opts.template) {
+      if (content !== undefined) {
+        console.error('Error: --content cannot be combined with --template');
+        return EXIT.USAGE;
+      }
+      content = await fillTemplateOption(opts.template, title, opts.set);
+      if (content === null) {
+        return EXIT.USAGE;
+      }
+    }
+    const note = createNote(title, content ?? readStdin(), parseTagList(opts.tags), dates);
+    if (opts.json) {
+      printJson(note);
+    } else {
+      console.log(note.id);
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('list')
+  .description('List all notes')
+  .option('--tag <tag>', 'only notes with this tag')
+  .option('--sort <mode>', `order of the notes: ${SORT_MODES.join(', ')} (default: the one picked in the UI)`)
+  .option('--pinned', 'only pinned notes')
+  .option('--favourites', 'only favourite notes')
+  .option('--json', 'print notes as JSON')
+  .action(runCommand(opts => {
+    if (opts.sort !== undefined && !isSortMode(opts.sort)) {
+      console.error(`Error: unknown sort mode "${opts.sort}", use ${SORT_MODES.join(', ')}`);
+      return EXIT.USAGE;
+    }
+    // Plain lines only need the summaries, JSON has the whole notes
+    let notes = opts.json ? getAllNotes() : getNoteSummaries();
+    if (opts.tag) {
+      notes = notes.filter(note => noteHasTag(note, opts.tag));
+    }
+    if (opts.pinned) {
+      notes = notes.filter(note => note.pinned);
+    }
+    if (opts.favourites) {
+      notes = notes.filter(note => note.favourite);
+    }
+    printNotes(sortNotes(notes, opts.sort ?? getSortMode()), opts);
+    for (const { file, error } of getUnreadableNoteFiles()) {
+      console.error(`Warning: skipped ${file}: ${error}`);
+    }
+    return EXIT.OK;
+  }));
+
+const NOTE_FLAGS = [
+  ['pin', setNotePinned, true, 'Pin a note to the top of the list'],
+  ['unpin', setNotePinned, false, 'Unpin a note'],
+  ['favourite', setNoteFavourite, true, 'Mark a note as a favourite'],
+  ['unfavourite', setNoteFavourite, false, 'Remove a note from the favourites']
+];
+
+for (const [name, setFlag, value, description] of NOTE_FLAGS) {
+  program
+    .command(`${name} <id>`)
+    .description(description)
+    .action(runCommand(id => {
+      if (!getNoteById(id)) {
+        return noteNotFound(id);
+      }
+      setFlag(id, value);
+      return EXIT.OK;
+    }));
 }
 
-function generateId() {
-  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+program
+  .command('show <id>')
+  .description('Print a note')
+  .option('--json', 'print the note as JSON')
+  .action(runCommand((id, opts) => {
+    const note = getNoteById(id);
+    if (!note) {
+      return noteNotFound(id);
+    }
+    if (note.locked) {
+      return noteLocked(id);
+    }
+    printNote(note, opts);
+    return EXIT.OK;
+  }));
+
+// Daily notes: "today" and "yesterday", or any day with --date
+const DAILY_COMMANDS = [
+  ['today', 0, "Open today's daily note, creating it if needed"],
+  ['yesterday', -1, "Open yesterday's daily note, creating it if needed"]
+];
+
+for (const [name, offset, description] of DAILY_COMMANDS) {
+  program
+    .command(name)
+    .description(description)
+    .option('--date <YYYY-MM-DD>', 'the daily note of another day')
+    .option('--print', 'print the note instead of opening the full-screen interface')
+    .option('--json', 'print the note as JSON')
+    .action(runCommand(opts => {
+      let day;
+      try {
+        day = formatDay(opts.date ? parseDay(opts.date) : addDays(new Date(), offset));
+      } catch (error) {
+        console.error(`Error: --date: ${error.message}`);
+        return EXIT.USAGE;
+      }
+      const { note } = openDailyNote(day);
+      if (!opts.print && !opts.json) {
+        theme = loadTheme(getThemeName());
+        keymap = loadKeymap();
+        openUI(note);
+        return EXIT.OK;
+      }
+      if (note.locked) {
+        return noteLocked(note.id);
+      }
+      printNote(note, opts);
+      return EXIT.OK;
+    }));
 }
 
-function createNote(title, content) {
-  const id = generateId();
-  const note = {
-    id,
-    title,
-    content,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  };
-  fs.writeFileSync(getNoteFilePath(id), JSON.stringify(note, null, 2), 'utf8');
+program
+  .command('edit <id>')
+  .description('Update the title, content, tags or dates of a note (content from --content, stdin or $EDITOR)')
+  .option('-t, --title <title>', 'new title')
+  .option('-c, --content <content>', 'new content')
+  .option('--tags <tags>', 'replace the tags (comma-separated)')
+  .option('--due <when>', 'due date, "none" clears it')
+  .option('--remind <when>', 'reminder time, "none" clears it')
+  .option('-e, --editor', 'edit the content in $VISUAL or $EDITOR')
+  .option('--rewrite-links', 'when renaming, point [[Old Title]] links in other notes at the new title')
+  .option('--json', 'print the updated note as JSON')
+  .action(runCommand((id, opts) => {
+    const note = getNoteById(id);
+    if (!note) {
+      return noteNotFound(id);
+    }
+    if (opts.editor && opts.content !== undefined) {
+      console.error('Error: --editor and --content cannot be combined');
+      return EXIT.USAGE;
+    }
+    if (note.locked && opts.editor) {
+      return noteLocked(id);
+    }
+    if (note.encrypted && opts.editor) {
+      console.error('Error: encrypted notes are not opened in an external editor, it would write their text to disk unencrypted; use --content or stdin');
+      return EXIT.USAGE;
+    }
+    const changes = parseDateOptions(opts);
+    if (!changes) {
+      return EXIT.USAGE;
+    }
+    if (opts.title !== undefined) {
+      changes.title = opts.title.trim();
+    }
+    if (opts.tags !== undefined) {
+      changes.tags = parseTagList(opts.tags);
+    }
+    if (opts.content !== undefined) {
+      changes.content = opts.content;
+    } else if (opts.editor) {
+      const content = editNoteContent(note);
+      if (content !== null) {
+        changes.content = content;
+      }
+    } else if (Object.keys(changes).length === 0) {
+      const stdin = readStdin();
+      if (stdin) {
+        changes.content = stdin;
+      }
+    }
+    if (Object.keys(changes).length === 0 && opts.editor) {
+      console.error('No changes');
+      return EXIT.OK;
+    }
+    if (Object.keys(changes).length === 0) {
+      console.error('Error: nothing to update, pass --title, --content, --tags, --due, --remind or pipe content on stdin');
+      return EXIT.USAGE;
+    }
+    if (changes.title === '') {
+      console.error('Error: title is required');
+      return EXIT.USAGE;
+    }
+    if (note.locked && changes.content !== undefined) {
+      return noteLocked(id);
+    }
+    const updated = updateNote(id, changes);
+    if (opts.rewriteLinks && changes.title !== undefined && changes.title !== note.title) {
+      const { updated: count, skipped } = rewriteIncomingLinks(note, changes.title);
+      console.error(`Rewrote links in ${count} note(s)${skipped ? `, skipped ${skipped} locked note(s)` : ''}`);
+    }
+    if (opts.json) {
+      printJson(updated);
+    } else {
+      console.log(updated.id);
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('rm <id>')
+  .description('Move a note to the trash')
+  .option('--json', 'print the deleted note as JSON')
+  .action(runCommand((id, opts) => {
+    const note = getNoteById(id);
+    if (!note) {
+      return noteNotFound(id);
+    }
+    deleteNote(id);
+    if (opts.json) {
+      printJson(note);
+    } else {
+      console.log(`Moved ${id} to the trash`);
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('search <query...>')
+  .description(`Search notes, best matches first (exits with ${EXIT.NO_MATCH} when nothing matches)`)
+  .option('--json', 'print matching notes as JSON')
+  .allowUnknownOption() // "-word" is query syntax, not an option
+  .addHelpText('after', `
+Query syntax:
+  deploy staging          notes containing both words (words match as prefixes)
+  "exact phrase"          words next to each other
+  a OR b, a AND NOT b     boolean operators (uppercase), -word is short for NOT word
+  (a OR b) c              grouping
+  title:foo content:bar   restrict a word or "phrase" to one field
+  tag:foo                 notes with the tag
+  created:>2025-01-01     date filters on created/updated with < <= > >= or a day,
+  updated:<7d             relative ages use h, d, w, m, y`)
+  .action(runCommand((words, opts) => {
+    let results;
+    try {
+      results = searchNotes(words.join(' '));
+    } catch (error) {
+      if (error.code !== 'EQUERY') {
+        throw error;
+      }
+      console.error(`Error: ${error.message}`);
+      return EXIT.USAGE;
+    }
+    printNotes(results, opts);
+    return results.length > 0 ? EXIT.OK : EXIT.NO_MATCH;
+  }));
+
+program
+  .command('history <id>')
+  .description('List the revisions of a note, diff one against the current text or restore it')
+  .option('--diff <rev>', 'show a line diff between a revision and the current text')
+  .option('--restore <rev>', 'replace the current text with a revision')
+  .option('--json', 'print revisions (or the restored note) as JSON')
+  .action(runCommand((id, opts) => {
+    const note = getNoteById(id);
+    if (!note) {
+      return noteNotFound(id);
+    }
+    const revArg = opts.restore ?? opts.diff;
+    if (revArg !== undefined) {
+      const revision = getNoteRevision(id, Number(revArg));
+      if (!revision) {
+        console.error(`Error: revision not found: ${revArg}`);
+        return EXIT.NOT_FOUND;
+      }
+      if (note.locked || revision.locked) {
+        return noteLocked(id);
+      }
+      if (opts.restore !== undefined) {
+        const restored = restoreNoteRevision(id, revision.rev);
+        if (opts.json) {
+          printJson(restored);
+        } else {
+          console.log(`Restored revision ${revision.rev} of ${id}`);
+        }
+      } else if (opts.json) {
+        printJson(diffLines(revision.content, note.content));
+      } else {
+        if (revision.title !== note.title) {
+          console.log(`Title: "${revision.title}" -> "${note.title}"`);
+        }
+        for (const { type, line } of diffLines(revision.content, note.content)) {
+          console.log(`${type} ${line}`);
+        }
+      }
+      return EXIT.OK;
+    }
+    const history = getNoteHistory(id);
+    if (opts.json) {
+      printJson(history);
+    } else {
+      for (const revision of history) {
+        console.log(`${revision.rev}\t${revision.updated_at}\t${revision.title}`);
+      }
+    }
+    return EXIT.OK;
+  }));
+
+const todo = program
+  .command('todo')
+  .description('List the open "- [ ]" tasks of all notes, grouped by note')
+  .option('--json', 'print the tasks as JSON')
+  .action(runCommand(opts => {
+    const groups = getOpenTasks();
+    if (opts.json) {
+      printJson(groups.map(({ note, tasks }) => ({
+        id: note.id,
+        title: note.title,
+        tasks: tasks.map(task => ({ line: task.line + 1, text: task.text }))
+      })));
+    } else {
+      groups.forEach(({ note, tasks }, index) => {
+        if (index > 0) {
+          console.log('');
+        }
+        console.log(`${note.title}  (${note.id})`);
+        for (const task of tasks) {
+          console.log(`  ${task.line + 1}\t[ ] ${task.text}`);
+        }
+      });
+    }
+    return EXIT.OK;
+  }));
+
+for (const [name, done] of [['done', true], ['undo', false]]) {
+  todo
+    .command(`${name} <id> <line>`)
+    .description(done ? 'Check the task on a line of a note (as listed by "todo")' : 'Uncheck the task on a line of a note')
+    .action(runCommand((id, line) => {
+      const note = getNoteById(id);
+      if (!note) {
+        return noteNotFound(id);
+      }
+      if (note.locked) {
+        return noteLocked(id);
+      }
+      const index = Number(line) - 1;
+      if (!extractTasks(note.content).some(task => task.line === index)) {
+        console.error(`Error: no task on line ${line} of ${id}`);
+        return EXIT.NOT_FOUND;
+      }
+      setNoteTaskDone(id, index, done);
+      return EXIT.OK;
+    }));
+}
+
+program
+  .command('agenda')
+  .description('List notes that are overdue, due today or due this week')
+  .option('--json', 'print the agenda as JSON')
+  .action(runCommand(opts => {
+    const agenda = buildAgenda(getAllNotes());
+    if (opts.json) {
+      printJson(agenda);
+      return EXIT.OK;
+    }
+    const sections = [['Overdue', agenda.overdue], ['Today', agenda.today], ['This week', agenda.week]];
+    sections.forEach(([heading, notes], index) => {
+      if (index > 0) {
+        console.log('');
+      }
+      console.log(heading);
+      if (notes.length === 0) {
+        console.log('  (none)');
+      }
+      for (const note of notes) {
+        console.log(`  ${formatWhen(note.due_at)}\t${note.id}\t${note.title}`);
+      }
+    });
+    return EXIT.OK;
+  }));
+
+program
+  .command('remind')
+  .description(`List reminders; with --check, print the ones that are due (exits with ${EXIT.DUE} when any are)`)
+  .option('--check', 'print due reminders and mark them as reported, for cron')
+  .option('--peek', 'with --check, leave the reminders unreported')
+  .option('--json', 'print reminders as JSON')
+  .addHelpText('after', `
+Each reminder is reported by "remind --check" once. For example, in crontab:
+  */5 * * * *  due=$(taccuino remind --check) || notify-send Taccuino "$due"`)
+  .action(runCommand(opts => {
+    const notes = opts.check
+      ? getDueReminders()
+      : getAllNotes()
+        .filter(note => note.remind_at)
+        .sort((a, b) => new Date(a.remind_at) - new Date(b.remind_at));
+    if (opts.json) {
+      printJson(notes);
+    } else {
+      for (const note of notes) {
+        console.log(`${formatWhen(note.remind_at)}\t${note.id}\t${note.title}`);
+      }
+    }
+    if (!opts.check) {
+      return EXIT.OK;
+    }
+    if (!opts.peek) {
+      notes.forEach(note => markReminded(note.id));
+    }
+    return notes.length > 0 ? EXIT.DUE : EXIT.OK;
+  }));
+
+program
+  .command('links <id>')
+  .description('List the [[links]] of a note and the notes linking to it')
+  .option('--json', 'print links and backlinks as JSON')
+  .action(runCommand((id, opts) => {
+    const note = getNoteById(id);
+    if (!note) {
+      return noteNotFound(id);
+    }
+    const links = extractLinks(note.content).map(target => {
+      const linked = findLinkedNote(target);
+      return { target, id: linked ? linked.id : null, title: linked ? linked.title : null };
+    });
+    const backlinks = getBacklinks(id).map(linking => ({ id: linking.id, title: linking.title }));
+    if (opts.json) {
+      printJson({ links, backlinks });
+    } else {
+      // "out" lines are links in this note (id "-" when nothing matches),
+      // "in" lines are notes linking here
+      for (const link of links) {
+        console.log(`out\t${link.id || '-'}\t${link.title || link.target}`);
+      }
+      for (const linking of backlinks) {
+        console.log(`in\t${linking.id}\t${linking.title}`);
+      }
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('attach <id> <file>')
+  .description('Attach a file to a note (a copy is kept in the notes directory)')
+  .option('--name <name>', 'name to store the file under (default: its file name)')
+  .option('--json', 'print the attachment as JSON')
+  .action(runCommand((id, file, opts) => {
+    if (!getNoteById(id)) {
+      return noteNotFound(id);
+    }
+    if (!fs.existsSync(file)) {
+      console.error(`Error: file not found: ${file}`);
+      return EXIT.NOT_FOUND;
+    }
+    const attachment = attachFile(id, file, opts.name);
+    if (opts.json) {
+      printJson(attachment);
+    } else {
+      console.log(`Attached ${attachment.name} (${formatSize(attachment.size)}) to ${id}`);
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('detach <id> <attachment>')
+  .description('Remove an attachment (by name or number) from a note')
+  .action(runCommand((id, name) => {
+    const note = getNoteById(id);
+    if (!note) {
+      return noteNotFound(id);
+    }
+    if (!getAttachment(note, name)) {
+      return attachmentNotFound(name);
+    }
+    const attachment = detachFile(id, name);
+    console.log(`Detached ${attachment.name} from ${id}`);
+    return EXIT.OK;
+  }));
+
+program
+  .command('attachments <id>')
+  .description('List the attachments of a note or copy one out')
+  .option('--export <attachment>', 'copy an attachment (by name or number) out of the notes directory')
+  .option('-o, --output <path>', 'file or directory to copy to (default: current directory)', '.')
+  .option('--json', 'print attachments as JSON')
+  .action(runCommand((id, opts) => {
+    const note = getNoteById(id);
+    if (!note) {
+      return noteNotFound(id);
+    }
+    if (opts.export !== undefined) {
+      const attachment = getAttachment(note, opts.export);
+      if (!attachment) {
+        return attachmentNotFound(opts.export);
+      }
+      console.log(exportAttachment(resolveNotesDir(), attachment, opts.output));
+      return EXIT.OK;
+    }
+    const files = note.externalFiles || [];
+    if (opts.json) {
+      printJson(files);
+    } else {
+      files.forEach((file, index) => {
+        console.log(`${index + 1}\t${file.name}\t${formatSize(file.size)}\t${file.type}`);
+      });
+    }
+    return EXIT.OK;
+  }));
+
+const trash = program
+  .command('trash')
+  .description('Manage deleted notes');
+
+trash
+  .command('list')
+  .description('List notes in the trash')
+  .option('--json', 'print trashed notes as JSON')
+  .action(runCommand(opts => {
+    const notes = getTrashedNotes();
+    if (opts.json) {
+      printJson(notes);
+    } else {
+      for (const note of notes) {
+        console.log(`${note.id}\t${note.deleted_at.slice(0, 10)}\t${note.title}`);
+      }
+    }
+    return EXIT.OK;
+  }));
+
+trash
+  .command('restore <id>')
+  .description('Move a note back out of the trash')
+  .option('--json', 'print the restored note as JSON')
+  .action(runCommand((id, opts) => {
+    if (!getTrashedNoteById(id)) {
+      return noteNotFound(id);
+    }
+    const note = restoreNote(id);
+    if (opts.json) {
+      printJson(note);
+    } else {
+      console.log(`Restored ${id}`);
+    }
+    return EXIT.OK;
+  }));
+
+trash
+  .command('purge <id>')
+  .description('Permanently delete a note from the trash')
+  .action(runCommand(id => {
+    if (!purgeNote(id)) {
+      return noteNotFound(id);
+    }
+    console.log(`Purged ${id}`);
+    return EXIT.OK;
+  }));
+
+trash
+  .command('empty')
+  .description('Permanently delete the notes in the trash')
+  .option('--older-than <days>', 'only notes deleted more than this many days ago')
+  .option('--json', 'print the purged notes as JSON')
+  .action(runCommand(opts => {
+    let days;
+    if (opts.olderThan !== undefined) {
+      days = Number(opts.olderThan);
+      if (!Number.isFinite(days) || days < 0) {
+        console.error(`Error: invalid number of days: ${opts.olderThan}`);
+        return EXIT.USAGE;
+      }
+    }
+    const purged = emptyTrash(days);
+    if (opts.json) {
+      printJson(purged);
+    } else {
+      console.log(`Purged ${purged.length} note(s)`);
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('export')
+  .description('Export notes as a JSON backup, Markdown or HTML')
+  .option('-f, --format <format>', `one of ${EXPORT_FORMATS.join(', ')}`, 'json')
+  .option('-o, --output <path>', 'file to write, or directory with --split (default: stdout)')
+  .option('--split', 'write one file per note into the --output directory')
+  .action(runCommand(opts => {
+    if (!EXPORT_FORMATS.includes(opts.format)) {
+      console.error(`Error: unknown format ${opts.format}, expected one of ${EXPORT_FORMATS.join(', ')}`);
+      return EXIT.USAGE;
+    }
+    const notes = getAllNotes();
+    const locked = notes.filter(note => note.locked).length;
+    if (locked > 0 && opts.format !== 'json') {
+      console.error(`Warning: ${locked} locked note(s) exported without their content, use --unlock`);
+    }
+    if (opts.split) {
+      if (!opts.output) {
+        console.error('Error: --split needs an --output directory');
+        return EXIT.USAGE;
+      }
+      const written = writeSplitExport(notes, opts.format, opts.output);
+      console.error(`Exported ${notes.length} note(s) to ${written.length} file(s) in ${opts.output}`);
+    } else if (opts.output) {
+      fs.writeFileSync(opts.output, formatExport(notes, opts.format));
+      console.error(`Exported ${notes.length} note(s) to ${opts.output}`);
+    } else {
+      process.stdout.write(formatExport(notes, opts.format));
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('import <file>')
+  .description('Import notes from a JSON backup (as written by "export --format json")')
+  .option('--on-conflict <action>', `what to do with notes whose id is taken: ${CONFLICT_ACTIONS.join(', ')}`)
+  .option('--dry-run', 'only print what would be imported')
+  .option('--json', 'print the summary as JSON')
+  .action(runCommand(async (file, opts) => {
+    if (opts.onConflict !== undefined && !CONFLICT_ACTIONS.includes(opts.onConflict)) {
+      console.error(`Error: unknown conflict action ${opts.onConflict}, expected one of ${CONFLICT_ACTIONS.join(', ')}`);
+      return EXIT.USAGE;
+    }
+    const plan = planImport(readBackup(file));
+    let onConflict = opts.onConflict;
+    if (onConflict === undefined && plan.conflicts.length > 0 && !opts.dryRun && process.stdin.isTTY) {
+      ({ onConflict } = await inquirer.prompt([{
+        type: 'select',
+        name: 'onConflict',
+        message: `${plan.conflicts.length} note(s) have the same id as an existing note, one in the trash or another one in the backup. What should happen to them?`,
+        choices: [
+          { name: 'Skip them', value: 'skip' },
+          { name: 'Overwrite the existing notes (old text is kept in the history)', value: 'overwrite' },
+          { name: 'Import them as new notes', value: 'duplicate' }
+        ]
+      }]));
+    }
+    onConflict = onConflict || 'skip';
+
+    if (opts.dryRun) {
+      const summary = {
+        new: plan.fresh.length,
+        conflicts: plan.conflicts.map(note => ({ id: note.id, title: note.title })),
+        onConflict
+      };
+      if (opts.json) {
+        printJson(summary);
+      } else {
+        console.log(`${plan.fresh.length} new note(s) would be imported`);
+        console.log(`${plan.conflicts.length} id collision(s) would be handled with "${onConflict}":`);
+        for (const note of plan.conflicts) {
+          console.log(`  ${note.id}\t${note.title}`);
+        }
+      }
+      return EXIT.OK;
+    }
+
+    const result = applyImport(plan, onConflict);
+    if (opts.json) {
+      printJson(result);
+    } else {
+      console.log(`Imported ${result.imported}, overwrote ${result.overwritten}, duplicated ${result.duplicated}, skipped ${result.skipped}`);
+    }
+    return EXIT.OK;
+  }));
+
+const vaultCommand = program
+  .command('vault')
+  .description('Encrypt notes with a passphrase');
+
+vaultCommand
+  .command('init')
+  .description('Create the vault and choose its passphrase')
+  .action(runCommand(async () => {
+    if (hasVault()) {
+      console.error('Error: a vault already exists for this notes directory');
+      return EXIT.ERROR;
+    }
+    let passphrase = process.env.TACCUINO_PASSPHRASE;
+    if (!passphrase) {
+      if (!process.stdin.isTTY) {
+        console.error('Error: vault init needs a terminal or TACCUINO_PASSPHRASE');
+        return EXIT.USAGE;
+      }
+      passphrase = await promptPassphrase('New vault passphrase:');
+      if (await promptPassphrase('Repeat the passphrase:') !== passphrase) {
+        console.error('Error: the passphrases do not match');
+        return EXIT.USAGE;
+      }
+    }
+    initVault(passphrase);
+    console.log('Vault created. Encrypt notes with "taccuino vault encrypt <id>" or "--all"');
+    return EXIT.OK;
+  }));
+
+vaultCommand
+  .command('status')
+  .description('Show whether a vault exists and how many notes are encrypted')
+  .option('--json', 'print the status as JSON')
+  .action(runCommand(opts => {
+    const notes = getAllNotes();
+    const status = {
+      vault: hasVault() ? (isVaultUnlocked() ? 'unlocked' : 'locked') : 'none',
+      encryptAll: isEncryptAll(),
+      encrypted: notes.filter(note => note.encrypted).length,
+      total: notes.length
+    };
+    if (opts.json) {
+      printJson(status);
+    } else {
+      console.log(`Vault:     ${status.vault}`);
+      console.log(`Encrypted: ${status.encrypted} of ${status.total} note(s)`);
+      console.log(`New notes: ${status.encryptAll ? 'encrypted' : 'plain'}`);
+    }
+    return EXIT.OK;
+  }));
+
+for (const [name, encrypt] of [['encrypt', true], ['decrypt', false]]) {
+  vaultCommand
+    .command(`${name} [id]`)
+    .description(encrypt
+      ? 'Encrypt a note, or every note (and new ones) with --all'
+      : 'Decrypt a note, or every note with --all (new notes are no longer encrypted)')
+    .option('--all', `${name} every note`)
+    .action(runCommand(async (id, opts) => {
+      if (Boolean(id) === Boolean(opts.all)) {
+        console.error('Error: pass either a note id or --all');
+        return EXIT.USAGE;
+      }
+      if (!hasVault()) {
+        console.error('Error: no vault in this notes directory, create one with "taccuino vault init"');
+        return EXIT.ERROR;
+      }
+      if (id && !getNoteById(id)) {
+        return noteNotFound(id);
+      }
+      if (!(await ensureUnlocked())) {
+        console.error('Error: the vault is locked, use --unlock or TACCUINO_PASSPHRASE');
+        return EXIT.LOCKED;
+      }
+      if (opts.all) {
+        const count = setEncryptAll(encrypt);
+        console.log(`${encrypt ? 'Encrypted' : 'Decrypted'} ${count} note(s)`);
+      } else {
+        (encrypt ? encryptNote : decryptNote)(id);
+        console.log(`${encrypt ? 'Encrypted' : 'Decrypted'} ${id}`);
+      }
+      return EXIT.OK;
+    }));
 }
 
-function getAllNotes() {
-  const files = fs.readdirSync(NOTES_DIR);
-  const notes = [];
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      const data = fs.readFileSync(path.join(NOTES_DIR, file), 'utf8');
-      notes.push(JSON.parse(data));
+const gitCommand = program
+  .command('git')
+  .description('Keep the notes directory in a git repository, committing every change');
+
+gitCommand
+  .command('init')
+  .description('Turn git mode on (run again to change the remote)')
+  .option('--remote <url>', 'repository to sync with, e.g. a private repo or a local bare one')
+  .action(runCommand(opts => {
+    initGitSync(opts.remote);
+    const remote = getGitRemote();
+    console.log(`Git mode is on in ${resolveNotesDir()}${remote ? `, syncing with ${remote}` : ''}`);
+    return EXIT.OK;
+  }));
+
+gitCommand
+  .command('status')
+  .description('Show whether git mode is on, the remote and the notes left to resolve after a sync')
+  .option('--json', 'print the status as JSON')
+  .action(runCommand(opts => {
+    const enabled = isGitSync();
+    const conflicts = enabled ? getSyncConflicts() : [];
+    const status = {
+      enabled,
+      remote: enabled ? getGitRemote() : null,
+      conflicts: conflicts.map(({ id, mine }) => ({ id, title: mine.title }))
+    };
+    if (opts.json) {
+      printJson(status);
+      return EXIT.OK;
+    }
+    console.log(`Git mode:  ${status.enabled ? 'on' : 'off'}`);
+    console.log(`Remote:    ${status.remote || '(none)'}`);
+    console.log(`Conflicts: ${status.conflicts.length}`);
+    status.conflicts.forEach(({ id, title }) => console.log(`  ${id}\t${title}`));
+    return EXIT.OK;
+  }));
+
+gitCommand
+  .command('resolve <id>')
+  .description('Settle a note changed on two machines: keep this version, take the other one or keep both')
+  .requiredOption('--keep <version>', 'mine, theirs or both')
+  .action(runCommand((id, opts) => {
+    if (!['mine', 'theirs', 'both'].includes(opts.keep)) {
+      console.error('Error: --keep must be mine, theirs or both');
+      return EXIT.USAGE;
+    }
+    if (!getSyncConflicts().some(conflict => conflict.id === id)) {
+      console.error(`Error: no sync conflict for note ${id}`);
+      return EXIT.NOT_FOUND;
+    }
+    resolveSyncConflict(id, opts.keep);
+    console.log(`Resolved ${id}`);
+    return EXIT.OK;
+  }));
+
+program
+  .command('sync')
+  .description('Commit, pull and push the notes against the git remote (exits with 7 when notes need resolving)')
+  .option('--json', 'print the result as JSON')
+  .action(runCommand(opts => {
+    const result = syncNotes();
+    if (opts.json) {
+      printJson(result);
+    } else {
+      console.log(`Pulled ${result.pulled} commit(s), pushed ${result.pushed}`);
+      if (result.conflicts > 0) {
+        console.error(`${result.conflicts} note(s) changed on both sides, resolve them in "taccuino open" or with "taccuino git resolve"`);
+      }
+    }
+    return result.conflicts > 0 ? EXIT.CONFLICT : EXIT.OK;
+  }));
+
+program
+  .command('migrate')
+  .description('Convert the stored notes, trash included, to another file format')
+  .requiredOption('--to <format>', STORE_FORMATS.join(' or '))
+  .option('--json', 'print the number of converted notes as JSON')
+  .action(runCommand(opts => {
+    if (!STORE_FORMATS.includes(opts.to)) {
+      console.error(`Error: unknown format "${opts.to}", use ${STORE_FORMATS.join(' or ')}`);
+      return EXIT.USAGE;
+    }
+    const { notes, trashed } = migrateNotes(opts.to);
+    if (opts.json) {
+      printJson({ format: opts.to, notes, trashed });
+    } else {
+      console.log(`Converted ${notes} note(s) and ${trashed} in the trash to ${opts.to}`);
+    }
+    return EXIT.OK;
+  }));
+
+program
+  .command('serve')
+  .description('Serve the notes over a local HTTP JSON API for editor plugins and dashboards')
+  .option('--port <port>', `port to listen on (default: ${DEFAULT_PORT})`)
+  .option('--new-token', 'replace the access token, so clients using the old one are refused')
+  .action(runCommand(async opts => {
+    const port = opts.port === undefined ? DEFAULT_PORT : Number(opts.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      console.error(`Error: invalid port "${opts.port}"`);
+      return EXIT.USAGE;
+    }
+    const server = await startServer(port, loadServerToken({ renew: opts.newToken }));
+    console.log(`Serving the notes on http://${SERVER_HOST}:${server.address().port}`);
+    console.log(`Token: ${getServerTokenPath()}`);
+    return EXIT.OK;
+  }));
+
+program.parseAsync(process.argv);
+
+// Wraps a subcommand action so that it sets the exit code it returns and
+// turns unexpected errors into EXIT.ERROR instead of a stack trace.
+function runCommand(action) {
+  return async (...args) => {
+    try {
+      process.exitCode = await action(...args);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = EXIT.ERROR;
     }
+  };
+}
+
+function readStdin() {
+  if (process.stdin.isTTY) {
+    return '';
   }
-  // Sort by created_at descending
-  notes.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-  return notes;
+  return fs.readFileSync(0, 'utf8').replace(/\s+$/, '');
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
 }
 
-function updateNote(noteId, { title, content }) {
-  const filePath = getNoteFilePath(noteId);
-  if (!fs.existsSync(filePath)) {
-    throw new Error('Note does not exist');
+// One note per line: id, creation date, title and tags separated by tabs
+function printNotes(notes, opts) {
+  if (opts.json) {
+    printJson(notes);
+    return;
+  }
+  for (const note of notes) {
+    console.log(`${note.id}\t${note.created_at.slice(0, 10)}\t${note.title}\t${getNoteTags(note).join(',')}`);
   }
-  const note = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  note.title = title;
-  note.content = content;
-  note.updated_at = new Date().toISOString();
-  fs.writeFileSync(filePath, JSON.stringify(note, null, 2), 'utf8');
 }
 
-function deleteNote(noteId) {
-  const filePath = getNoteFilePath(noteId);
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
-  } else {
-    throw new Error('Note not found');
+// A note's fields and content, as printed by show
+function printNote(note, opts) {
+  if (opts.json) {
+    printJson(note);
+    return;
+  }
+  console.log(`Title:   ${note.title}`);
+  console.log(`ID:      ${note.id}`);
+  console.log(`Created: ${note.created_at}`);
+  console.log(`Updated: ${note.updated_at}`);
+  console.log(`Tags:    ${getNoteTags(note).join(', ')}`);
+  if (note.due_at) {
+    console.log(`Due:     ${formatWhen(note.due_at)}`);
   }
+  if (note.remind_at) {
+    console.log(`Remind:  ${formatWhen(note.remind_at)}`);
+  }
+  console.log('');
+  console.log(note.content);
 }
 
-function searchNotes(query) {
-  const all = getAllNotes();
-  const lower = query.toLowerCase();
-  return all.filter(n =>
-    n.title.toLowerCase().includes(lower) ||
-    n.content.toLowerCase().includes(lower)
-  );
+// --set label=value, collected into { label: value }
+function collectPromptValue(option, values) {
+  const separator = option.indexOf('=');
+  if (separator <= 0) {
+    throw new InvalidArgumentError('Use --set label=value');
+  }
+  return { ...values, [option.slice(0, separator).trim()]: option.slice(separator + 1) };
 }
 
-/******************************************************************************
- * 3) THEME & LAYOUT
- ******************************************************************************/
+// Content of a note from a template; prompts without a --set value are asked
+// on the terminal. Returns null after reporting a template that cannot be used.
+async function fillTemplateOption(name, title, values) {
+  let text;
+  try {
+    text = loadTemplate(name);
+  } catch (error) {
+    console.error(`Error: --template: ${error.message}`);
+    return null;
+  }
+  const prompts = { ...values };
+  for (const label of getTemplatePrompts(text)) {
+    if (prompts[label] !== undefined) {
+      continue;
+    }
+    if (!process.stdin.isTTY) {
+      console.error(`Error: the template asks for "${label}", pass --set "${label}=..."`);
+      return null;
+    }
+    const { value } = await inquirer.prompt([{ type: 'input', name: 'value', message: `${label}:` }]);
+    prompts[label] = value;
+  }
+  return fillTemplate(text, { ...getDateValues(), title, prompts }).replace(/\s+$/, '');
+}
 
-const theme = {
-  background: 'black',
-  foreground: 'white',
-  bannerFg: 'brightcyan',    // Banner ASCII color
-  borderFg: 'brightcyan',    // Borders
-  primaryBg: 'brightmagenta',// Buttons "Okay"/"Submit"/"Save"
-  primaryFg: 'white',
-  secondaryBg: 'red',        // Button "Cancel"
-  secondaryFg: 'white',
-  highlightBg: 'brightcyan', // Focused button, hover
-  highlightFg: 'black',
-  instructionFg: 'black',
-  instructionBg: 'brightyellow',
-  errorBg: 'brightred',
-  errorFg: 'white'
-};
+// due_at / remind_at changes from --due and --remind ("none" clears them).
+// Returns null after reporting a date that cannot be parsed.
+function parseDateOptions(opts) {
+  const fields = {};
+  for (const [option, field] of [['due', 'due_at'], ['remind', 'remind_at']]) {
+    if (opts[option] === undefined) {
+      continue;
+    }
+    try {
+      const date = parseWhen(opts[option]);
+      fields[field] = date ? date.toISOString() : null;
+    } catch (error) {
+      console.error(`Error: --${option}: ${error.message}`);
+      return null;
+    }
+  }
+  return fields;
+}
 
-const BANNER_HEIGHT = 9;
-const BOTTOM_BAR_HEIGHT = 3;
+function noteNotFound(id) {
+  console.error(`Error: note not found: ${id}`);
+  return EXIT.NOT_FOUND;
+}
 
-/******************************************************************************
- * 4) COMMANDER CLI CONFIG
- ******************************************************************************/
+function attachmentNotFound(name) {
+  console.error(`Error: attachment not found: ${name}`);
+  return EXIT.NOT_FOUND;
+}
 
-program
-  .version('1.0.0')
-  .description('Taccuino - CLI Note Manager');
+function noteLocked(id) {
+  console.error(`Error: note ${id} is encrypted and the vault is locked, use --unlock or TACCUINO_PASSPHRASE`);
+  return EXIT.LOCKED;
+}
 
-program
-  .command('open')
-  .description('Open the Taccuino full-screen interface')
-  .action(() => {
-    openUI();
-  });
+async function promptPassphrase(message) {
+  const { passphrase } = await inquirer.prompt([{ type: 'password', name: 'passphrase', message, mask: '*' }]);
+  return passphrase;
+}
 
-program.parse(process.argv);
+// Unlocks the vault with TACCUINO_PASSPHRASE or by asking on the terminal.
+// Returns false when there is no way to get the passphrase.
+async function ensureUnlocked() {
+  if (isVaultUnlocked()) {
+    return true;
+  }
+  let passphrase = process.env.TACCUINO_PASSPHRASE;
+  if (!passphrase) {
+    if (!process.stdin.isTTY) {
+      return false;
+    }
+    passphrase = await promptPassphrase('Vault passphrase:');
+  }
+  unlockVault(passphrase);
+  return true;
+}
 
 /******************************************************************************
- * 5) BLESSED UI CODE
+ * 3) BLESSED UI CODE
  ******************************************************************************/
 
-function openUI() {
+// Starts on the note list, or on startNote
+function openUI(startNote = null) {
+  setLockTimeout(UI_LOCK_TIMEOUT_MS);
   const screen = blessed.screen({
     smartCSR: true,
-    title: 'Taccuino'
+    title: 'Taccuino',
+    // Quits even while a text field is being typed in
+    ignoreLocked: keymap.global.quit.keys
   });
 
   const layout = blessed.box({
@@ -155,15 +1248,13 @@ function openUI() {
     style: { fg: theme.foreground, bg: theme.background }
   });
 
-  // Banner con font "Slant" (più "denso" di Shadow)
-  const asciiText = figlet.textSync('Taccuino', { font: 'Slant' });
   const banner = blessed.box({
     parent: layout,
     top: 0,
     left: 'center',
     width: '100%',
     height: BANNER_HEIGHT,
-    content: asciiText,
+    content: renderBanner(),
     align: 'center',
     style: {
       fg: theme.bannerFg,
@@ -178,13 +1269,12 @@ function openUI() {
     left: 0,
     width: '100%',
     height: BOTTOM_BAR_HEIGHT,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: {
       fg: theme.instructionFg,
       bg: theme.instructionBg
     },
-    align: 'center',
-    content: 'Enter: Open | n: New | s: Search | d: Delete | q: Quit'
+    align: 'center'
   });
 
   const mainArea = blessed.box({
@@ -196,88 +1286,1242 @@ function openUI() {
     style: { fg: theme.foreground, bg: theme.background }
   });
 
-  showNoteList(screen, mainArea);
+  // The only key handler of the UI: keys go to the view on screen, so the
+  // bindings of views left behind never fire
+  screen.on('keypress', (ch, key) => handleKey(screen, mainArea, key));
+
+  screen.on('keymap', () => {
+    instructionBar.setContent(formatBar(keymap, viewKeys.view));
+    screen.render();
+  });
 
-  screen.key(['C-c'], () => process.exit(0));
+  if (startNote) {
+    openNote(screen, mainArea, startNote);
+  } else {
+    showNoteList(screen, mainArea);
+  }
 
   screen.on('resize', () => {
     banner.width = '100%';
     mainArea.width = '100%';
     mainArea.height = `100%-${BANNER_HEIGHT + BOTTOM_BAR_HEIGHT}`;
     instructionBar.width = '100%';
+    if (relayoutView) {
+      relayoutView();
+    }
+    screen.render();
+  });
+
+  // Views are rebuilt with the new theme; the frame around them is restyled
+  screen.on('theme', () => {
+    layout.style.fg = mainArea.style.fg = theme.foreground;
+    layout.style.bg = mainArea.style.bg = banner.style.bg = theme.background;
+    banner.style.fg = theme.bannerFg;
+    banner.setContent(renderBanner());
+    instructionBar.style.fg = theme.instructionFg;
+    instructionBar.style.bg = theme.instructionBg;
+    instructionBar.style.border.fg = theme.borderFg;
+    screen.render();
+  });
+
+  screen.render();
+}
+
+// Makes handlers ({ action: callback }) the key bindings of the view on
+// screen, replacing those of the previous view
+function setViewKeys(screen, view, handlers) {
+  viewKeys = { view, handlers };
+  screen.emit('keymap');
+}
+
+// First key of an action, as shown to the user
+function keyLabel(view, action) {
+  const [key] = keymap[view][action].keys;
+  return key ? formatKey(key) : 'unbound';
+}
+
+// Blessed does not report keys typed into a text field; popups and the help
+// overlay sit outside mainArea and handle their own keys
+function handleKey(screen, mainArea, key) {
+  const global = findAction(keymap, 'global', key.full);
+  if (global === 'quit') {
+    process.exit(0);
+  }
+  const focused = screen.focused;
+  if (!viewKeys || !focused || !mainArea.hasDescendant(focused)) {
+    return;
+  }
+  if (global === 'help') {
+    return showHelp(screen);
+  }
+  const action = findAction(keymap, viewKeys.view, key.full);
+  if (action && viewKeys.handlers[action]) {
+    return viewKeys.handlers[action]();
+  }
+  const move = findAction(keymap, 'move', key.full);
+  if (move) {
+    moveFocused(focused, move);
+    screen.render();
+  }
+}
+
+// Lists move their selection, scrollable boxes their text
+function moveFocused(element, move) {
+  const page = Math.max(element.height - 3, 1);
+  if (element.moveTo) {
+    const steps = { up: -1, down: 1, pageUp: -page, pageDown: page, first: -element.total, last: element.total };
+    element.moveTo(element.current + steps[move]);
+  } else if (element.type === 'list') {
+    const steps = { up: -1, down: 1, pageUp: -page, pageDown: page,
+      first: -element.items.length, last: element.items.length };
+    element.select(Math.min(Math.max(element.selected + steps[move], 0), element.items.length - 1));
+  } else if (element.scrollable) {
+    const steps = { up: -1, down: 1, pageUp: -page, pageDown: page };
+    if (move === 'first' || move === 'last') {
+      element.setScrollPerc(move === 'first' ? 0 : 100);
+    } else {
+      element.scroll(steps[move]);
+    }
+  }
+}
+
+// Every binding of the view on screen, then the moves and global keys
+function showHelp(screen) {
+  const previous = screen.focused;
+  const sections = [viewKeys.view, 'move', 'global'].map(view => {
+    const lines = Object.entries(keymap[view])
+      .filter(([, binding]) => binding.keys.length > 0)
+      .map(([action, binding]) => `  {cyan-fg}${escapeTags(binding.keys.map(formatKey).join(', ').padEnd(24))}{/cyan-fg} ${binding.help.padEnd(48)} {gray-fg}${view}.${action}{/gray-fg}`);
+    return `{bold}${VIEW_TITLES[view]}{/bold}\n${lines.join('\n')}`;
+  });
+
+  const help = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '90%',
+    height: '80%',
+    tags: true,
+    scrollable: true,
+    alwaysScroll: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' Key bindings (Esc to close) ',
+    content: paint(sections.join('\n\n')),
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  help.key(['escape', 'q', 'enter', '?'], () => {
+    help.destroy();
+    if (previous && !previous.detached) {
+      previous.focus();
+    }
     screen.render();
   });
 
+  help.focus();
+  screen.render();
+}
+
+// Title in the theme's figlet font; a font figlet does not know falls back to
+// the plain name
+function renderBanner() {
+  try {
+    return figlet.textSync('Taccuino', { font: theme.bannerFont });
+  } catch {
+    return '\n\n\nTaccuino';
+  }
+}
+
+// Colours {color-fg} markup for the active theme. Everything shown with
+// tags: true goes through here.
+function paint(markup) {
+  return applyAccents(markup, theme);
+}
+
+// A list holding only the rows on screen, so that it opens as fast with
+// thousands of notes as with ten. rows(start, end) returns the markup of those
+// rows; list.current is the index of the selected one among all count rows,
+// list.moveTo() selects another and emits 'move'. Enter emits 'select'.
+function createVirtualList(options, count, rows) {
+  const list = blessed.list({ ...options, items: [] });
+  let offset = 0;
+  let filling = false;
+  list.current = 0;
+  list.total = count;
+
+  const fill = () => {
+    const height = Math.max(list.height - list.iheight, 1);
+    offset = Math.min(Math.max(offset, list.current - height + 1), list.current, Math.max(count - height, 0));
+    filling = true;
+    list.setItems(rows(offset, Math.min(offset + height, count)));
+    list.select(list.current - offset);
+    filling = false;
+  };
+
+  list.moveTo = index => {
+    list.current = Math.max(Math.min(index, count - 1), 0);
+    fill();
+    list.emit('move');
+  };
+  // Blessed's own moves (mouse wheel) and clicks go through the whole list too
+  list.move = step => list.moveTo(list.current + step);
+  list.on('select item', () => {
+    if (!filling && offset + list.selected !== list.current) {
+      list.moveTo(offset + list.selected);
+    }
+  });
+  list.on('resize', fill);
+  fill();
+  return list;
+}
+
+// selectId: note to highlight, e.g. after pinning it moved in the list
+function showNoteList(screen, mainArea, selectId = null) {
+  mainArea.children.forEach(child => child.detach());
+  noteTrail = [];
+  const sortMode = getSortMode();
+  const conflictCount = isGitSync() ? countSyncConflicts() : 0;
+  const filters = [activeTag && `#${blessed.escape(activeTag)}`, favouritesOnly && 'favourites', `sort: ${sortMode}`,
+    conflictCount > 0 && `${conflictCount} to resolve (${keyLabel('list', 'conflicts')})`];
+
+  // A failed read leaves the list empty but working, so the other views and
+  // quitting stay at hand
+  let all = [];
+  let unreadable = [];
+  let readError = null;
+  try {
+    all = getNoteSummaries();
+    unreadable = getUnreadableNoteFiles();
+  } catch (error) {
+    readError = error;
+  }
+  if (activeTag) {
+    all = all.filter(note => noteHasTag(note, activeTag));
+  }
+  if (favouritesOnly) {
+    all = all.filter(note => note.favourite);
+  }
+  all = sortNotes(all, sortMode);
+  if (unreadable.length > 0) {
+    filters.push(`{red-fg}${unreadable.length} unreadable{/red-fg}`);
+  }
+
+  // Abilitiamo "tags: true" per colorare parzialmente i titoli/data
+  const noteList = createVirtualList({
+    parent: mainArea,
+    top: 0,
+    left: 0,
+    width: `${LIST_PANE_PERCENT}%`,
+    height: '100%',
+    tags: true,
+    mouse: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ` ${paint(filters.filter(Boolean).join(' | '))} `,
+    style: {
+      fg: theme.foreground,
+      bg: theme.background,
+      selected: {
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
+      }
+    }
+  }, all.length, (start, end) => all.slice(start, end).map((note, index) => paint(formatNoteItem(note, start + index))));
+
+  noteList.notes = all;
+  if (selectId) {
+    noteList.moveTo(Math.max(all.findIndex(note => note.id === selectId), 0));
+  }
+
+  // Preview of the highlighted note, hidden on narrow terminals
+  const preview = blessed.box({
+    parent: mainArea,
+    top: 0,
+    left: `${LIST_PANE_PERCENT}%`,
+    right: 0,
+    height: '100%',
+    tags: true,
+    scrollable: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' Preview ',
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  // The list only has summaries, the highlighted note is read in full
+  const updatePreview = () => {
+    if (preview.hidden) {
+      return;
+    }
+    const summary = noteList.notes[noteList.current];
+    let text;
+    try {
+      text = formatNotePreview(summary && getNoteById(summary.id), Math.max(preview.width - 4, 10));
+    } catch (error) {
+      text = `{red-fg}Cannot read the note: ${escapeTags(error.message)}{/red-fg}`;
+    }
+    preview.setContent(paint(text));
+    preview.scrollTo(0);
+  };
+
+  const fitToWidth = () => {
+    if (screen.width >= PREVIEW_MIN_WIDTH) {
+      noteList.width = `${LIST_PANE_PERCENT}%`;
+      preview.show();
+    } else {
+      noteList.width = '100%';
+      preview.hide();
+    }
+    updatePreview();
+  };
+  fitToWidth();
+
+  relayoutView = () => {
+    if (noteList.detached) {
+      relayoutView = null;
+    } else {
+      fitToWidth();
+    }
+  };
+
+  noteList.on('move', () => {
+    updatePreview();
+    screen.render();
+  });
+
+  noteList.focus();
+  screen.render();
+
+  const fresh = unreadable.filter(({ file }) => !reportedUnreadable.has(file));
+  if (readError) {
+    showError(screen, `Error reading notes: ${readError.message}`, () => {
+      noteList.focus();
+      screen.render();
+    });
+  } else if (fresh.length > 0) {
+    fresh.forEach(({ file }) => reportedUnreadable.add(file));
+    showError(screen, `Skipped ${fresh.length} unreadable note file(s):\n${fresh.map(({ file, error }) => `${file}: ${error}`).join('\n')}`, () => {
+      noteList.focus();
+      screen.render();
+    });
+  }
+
+  // p pins the selected note, f marks it as a favourite, F shows only
+  // favourites and S cycles through the sort modes
+  const toggleFlag = (setFlag, flag) => {
+    const note = noteList.notes[noteList.current];
+    if (!note) {
+      return;
+    }
+    try {
+      setFlag(note.id, !note[flag]);
+    } catch (error) {
+      return showError(screen, `Error updating note: ${error.message}`, () => {
+        showNoteList(screen, mainArea);
+      });
+    }
+    showNoteList(screen, mainArea, note.id);
+  };
+
+  setViewKeys(screen, 'list', {
+    open: () => noteList.enterSelected(),
+    new: () => showNewNote(screen, mainArea),
+    search: () => showSearchPrompt(screen, mainArea),
+    tags: () => showTagFilter(screen, mainArea),
+    todo: () => showTodo(screen, mainArea),
+    calendar: () => showCalendar(screen, mainArea),
+    today: () => {
+      try {
+        openNote(screen, mainArea, openDailyNote(formatDay(new Date())).note);
+      } catch (error) {
+        showError(screen, `Error opening the daily note: ${error.message}`, () => {
+          showNoteList(screen, mainArea);
+        });
+      }
+    },
+    trash: () => showTrash(screen, mainArea),
+    pin: () => toggleFlag(setNotePinned, 'pinned'),
+    favourite: () => toggleFlag(setNoteFavourite, 'favourite'),
+    favourites: () => {
+      favouritesOnly = !favouritesOnly;
+      showNoteList(screen, mainArea);
+    },
+    sort: () => {
+      const note = noteList.notes[noteList.current];
+      setSortMode(nextSortMode(sortMode));
+      showNoteList(screen, mainArea, note && note.id);
+    },
+    // Switches to the next colour theme
+    theme: () => {
+      const note = noteList.notes[noteList.current];
+      try {
+        const name = nextThemeName(theme.name);
+        theme = loadTheme(name);
+        setThemeName(name);
+      } catch (error) {
+        return showError(screen, `Error loading theme: ${error.message}`, () => {
+          showNoteList(screen, mainArea);
+        });
+      }
+      screen.emit('theme');
+      showNoteList(screen, mainArea, note && note.id);
+    },
+    delete: () => {
+      const note = noteList.notes[noteList.current];
+      if (note) {
+        confirmDeleteNoteUI(screen, mainArea, note.id);
+      }
+    },
+    // Encrypts or decrypts the selected note
+    encrypt: () => {
+      const note = noteList.notes[noteList.current];
+      if (!note) {
+        return;
+      }
+      if (!hasVault()) {
+        return showError(screen, 'No vault yet, create one with "taccuino vault init"', () => {
+          showNoteList(screen, mainArea);
+        });
+      }
+      withUnlockedVault(screen, mainArea, () => {
+        try {
+          (note.encrypted ? decryptNote : encryptNote)(note.id);
+        } catch (error) {
+          return showError(screen, `Error changing encryption: ${error.message}`, () => {
+            showNoteList(screen, mainArea);
+          });
+        }
+        showNoteList(screen, mainArea);
+      });
+    },
+    lock: () => {
+      if (isVaultUnlocked()) {
+        lockVault();
+        showMessage(screen, 'Vault locked.', () => showNoteList(screen, mainArea));
+      }
+    },
+    // Pulls and pushes, then lists the notes changed on both sides, if any
+    sync: () => {
+      if (!isGitSync()) {
+        return showError(screen, 'Git sync is off, turn it on with "taccuino git init"', () => {
+          showNoteList(screen, mainArea);
+        });
+      }
+      let result;
+      try {
+        result = syncNotes();
+      } catch (error) {
+        return showError(screen, `Error syncing notes: ${error.message}`, () => {
+          showNoteList(screen, mainArea);
+        });
+      }
+      const summary = `Pulled ${result.pulled} commit(s), pushed ${result.pushed}.`;
+      if (result.conflicts > 0) {
+        return showMessage(screen, `${summary}\n${result.conflicts} note(s) were changed on this machine and on another one.`, () => {
+          showSyncConflicts(screen, mainArea);
+        });
+      }
+      showMessage(screen, summary, () => showNoteList(screen, mainArea));
+    },
+    conflicts: () => showSyncConflicts(screen, mainArea),
+    quit: () => process.exit(0)
+  });
+
+  noteList.on('select', () => {
+    const summary = noteList.notes[noteList.current];
+    if (!summary) {
+      return;
+    }
+    let note;
+    try {
+      note = getNoteById(summary.id);
+    } catch (error) {
+      return showError(screen, `Error reading note: ${error.message}`, () => {
+        showNoteList(screen, mainArea);
+      });
+    }
+    if (!note) {
+      return showError(screen, 'Note not found', () => showNoteList(screen, mainArea));
+    }
+    openNote(screen, mainArea, note);
+  });
+}
+
+// Applichiamo markup per titolo, data e tag
+function formatNoteItem(note, index) {
+  const dateStr = note.created_at.slice(0, 10);
+  const tags = getNoteTags(note).map(tag => `#${tag}`).join(' ');
+  const tagsStr = tags ? `  {cyan-fg}${blessed.escape(tags)}{/cyan-fg}` : '';
+  let lockStr = '';
+  if (note.encrypted) {
+    lockStr = note.locked ? '  {red-fg}[locked]{/red-fg}' : '  {green-fg}[unlocked]{/green-fg}';
+  }
+  let dueStr = '';
+  const dueStatus = getDueStatus(note);
+  if (dueStatus === 'overdue') {
+    dueStr = `  {red-fg}[overdue ${formatWhen(note.due_at)}]{/red-fg}`;
+  } else if (dueStatus === 'upcoming') {
+    dueStr = `  {magenta-fg}[due ${formatWhen(note.due_at)}]{/magenta-fg}`;
+  }
+  const pinStr = note.pinned ? '{magenta-fg}[pin]{/magenta-fg} ' : '';
+  const favStr = note.favourite ? ' {yellow-fg}*{/yellow-fg}' : '';
+  return `${pinStr}{bold}{green-fg}${index + 1}. ${blessed.escape(note.title)}{/green-fg}{/bold}${favStr}  {yellow-fg}(${dateStr}){/yellow-fg}${tagsStr}${lockStr}${dueStr}`;
+}
+
+// Metadata and rendered content of a note for the list's preview pane
+function formatNotePreview(note, width) {
+  if (!note) {
+    return '{gray-fg}No notes{/gray-fg}';
+  }
+  const tags = getNoteTags(note).map(tag => `#${tag}`).join(' ');
+  const meta = [
+    `{bold}${escapeTags(note.title)}{/bold}`,
+    `{yellow-fg}Created:{/yellow-fg} ${formatWhen(note.created_at)}`,
+    `{yellow-fg}Updated:{/yellow-fg} ${formatWhen(note.updated_at)}`
+  ];
+  if (!note.locked) {
+    meta.push(`{yellow-fg}Words:{/yellow-fg}   ${note.content.split(/\s+/).filter(Boolean).length}`);
+  }
+  if (tags) {
+    meta.push(`{yellow-fg}Tags:{/yellow-fg}    {cyan-fg}${escapeTags(tags)}{/cyan-fg}`);
+  }
+  if (note.due_at) {
+    meta.push(`{yellow-fg}Due:{/yellow-fg}     ${formatWhen(note.due_at)}`);
+  }
+  if (note.locked) {
+    return `${meta.join('\n')}\n\n{red-fg}Encrypted. Press Enter to unlock.{/red-fg}`;
+  }
+  return `${meta.join('\n')}\n\n${renderMarkdownWithLinks(note.content, { width }).markup}`;
+}
+
+// Encrypted notes ask for the vault passphrase first while it is locked
+function openNote(screen, mainArea, note) {
+  if (!note.locked) {
+    return showNoteView(screen, mainArea, note);
+  }
+  withUnlockedVault(screen, mainArea, () => {
+    showNoteView(screen, mainArea, getNoteById(note.id));
+  });
+}
+
+function withUnlockedVault(screen, mainArea, callback) {
+  if (isVaultUnlocked()) {
+    callback();
+  } else {
+    showPassphrasePrompt(screen, mainArea, callback);
+  }
+}
+
+// Open tasks of all notes, grouped under the note titles. Space checks the
+// selected task in place (and unchecks it again), Enter opens its note.
+function showTodo(screen, mainArea) {
+  mainArea.children.forEach(child => child.detach());
+
+  let groups = [];
+  try {
+    groups = getOpenTasks();
+  } catch (error) {
+    return showError(screen, `Error reading tasks: ${error.message}`, () => {
+      showNoteList(screen, mainArea);
+    });
+  }
+
+  const rows = [];
+  for (const { note, tasks } of groups) {
+    rows.push({ note });
+    tasks.forEach(task => rows.push({ note, task, done: false }));
+  }
+
+  const formatRow = row => {
+    if (!row.task) {
+      return `{bold}{green-fg}${escapeTags(row.note.title)}{/green-fg}{/bold}`;
+    }
+    return row.done
+      ? `  {green-fg}[x]{/green-fg} {gray-fg}${escapeTags(row.task.text)}{/gray-fg}`
+      : `  [ ] ${escapeTags(row.task.text)}`;
+  };
+
+  const todoList = blessed.list({
+    parent: mainArea,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    tags: true,
+    mouse: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' Todo ',
+    style: {
+      fg: theme.foreground,
+      bg: theme.background,
+      selected: {
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
+      }
+    },
+    items: (rows.length > 0 ? rows.map(formatRow) : ['{gray-fg}No open tasks{/gray-fg}']).map(paint)
+  });
+
+  // Start on the first task rather than on a note title
+  todoList.select(rows.length > 1 ? 1 : 0);
+  todoList.focus();
+  screen.render();
+
+  todoList.on('select', (item, index) => {
+    const row = rows[index];
+    if (row) {
+      openNote(screen, mainArea, getNoteById(row.note.id) || row.note);
+    }
+  });
+
+  setViewKeys(screen, 'todo', {
+    open: () => todoList.enterSelected(),
+    toggle: () => {
+      const row = rows[todoList.selected];
+      if (!row || !row.task) {
+        return;
+      }
+      try {
+        setNoteTaskDone(row.note.id, row.task.line, !row.done);
+      } catch (error) {
+        return showError(screen, `Error updating task: ${error.message}`, () => {
+          showTodo(screen, mainArea);
+        });
+      }
+      row.done = !row.done;
+      todoList.setItem(todoList.selected, paint(formatRow(row)));
+      screen.render();
+    },
+    back: () => showNoteList(screen, mainArea)
+  });
+}
+
+// Month grid marking the days with notes; Enter opens the notes of the
+// selected day
+function showCalendar(screen, mainArea, selected = new Date()) {
+  mainArea.children.forEach(child => child.detach());
+
+  let days;
+  try {
+    days = groupNotesByDay(getNoteSummaries());
+  } catch (error) {
+    return showError(screen, `Error reading notes: ${error.message}`, () => {
+      showNoteList(screen, mainArea);
+    });
+  }
+
+  const grid = blessed.box({
+    parent: mainArea,
+    top: 0,
+    left: 0,
+    width: CALENDAR_WIDTH,
+    height: '100%',
+    tags: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  const dayBox = blessed.box({
+    parent: mainArea,
+    top: 0,
+    left: CALENDAR_WIDTH,
+    right: 0,
+    height: '100%',
+    tags: true,
+    scrollable: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  const update = () => {
+    const day = formatDay(selected);
+    const notes = days.get(day) || [];
+    grid.setLabel(` ${selected.toLocaleString('en-US', { month: 'long', year: 'numeric' })} `);
+    grid.setContent(paint(formatMonth(selected, days)));
+    dayBox.setLabel(` ${day} `);
+    dayBox.setContent(paint(notes.length > 0
+      ? notes.map((note, index) => formatNoteItem(note, index)).join('\n')
+      : `No notes. ${keyLabel('calendar', 'open')} creates the daily note of this day.`));
+    screen.render();
+  };
+
+  const moveTo = date => {
+    selected = date;
+    update();
+  };
+
+  // Same day of another month, or its last day if that month is shorter
+  const moveMonths = months => {
+    const lastDay = new Date(selected.getFullYear(), selected.getMonth() + months + 1, 0).getDate();
+    moveTo(new Date(selected.getFullYear(), selected.getMonth() + months, Math.min(selected.getDate(), lastDay)));
+  };
+
+  grid.focus();
+  update();
+
+  setViewKeys(screen, 'calendar', {
+    open: () => {
+      const day = formatDay(selected);
+      let notes;
+      try {
+        notes = (days.get(day) || []).map(summary => getNoteById(summary.id)).filter(Boolean);
+      } catch (error) {
+        return showError(screen, `Error reading notes: ${error.message}`, () => {
+          showCalendar(screen, mainArea, selected);
+        });
+      }
+      if (notes.length === 1) {
+        return openNote(screen, mainArea, notes[0]);
+      }
+      if (notes.length > 1) {
+        return showSearchResults(screen, mainArea, notes);
+      }
+      askYesNo(screen, `No notes on ${day}. Create its daily note? (y/n)`, yes => {
+        if (!yes) {
+          return showCalendar(screen, mainArea, selected);
+        }
+        try {
+          openNote(screen, mainArea, openDailyNote(day).note);
+        } catch (error) {
+          showError(screen, `Error creating note: ${error.message}`, () => {
+            showCalendar(screen, mainArea, selected);
+          });
+        }
+      });
+    },
+    previousDay: () => moveTo(addDays(selected, -1)),
+    nextDay: () => moveTo(addDays(selected, 1)),
+    previousWeek: () => moveTo(addDays(selected, -7)),
+    nextWeek: () => moveTo(addDays(selected, 7)),
+    previousMonth: () => moveMonths(-1),
+    nextMonth: () => moveMonths(1),
+    today: () => moveTo(new Date()),
+    back: () => showNoteList(screen, mainArea)
+  });
+}
+
+// Monday-first weeks of the month of selected. Days with notes get a *, today
+// is underlined and the selected day inverted.
+function formatMonth(selected, days) {
+  const year = selected.getFullYear();
+  const month = selected.getMonth();
+  const today = formatDay(new Date());
+  const cells = Array((new Date(year, month, 1).getDay() + 6) % 7).fill('     ');
+  for (let date = 1; date <= new Date(year, month + 1, 0).getDate(); date++) {
+    const day = formatDay(new Date(year, month, date));
+    let cell = `${String(date).padStart(3)}${days.has(day) ? '*' : ' '}`;
+    if (days.has(day)) {
+      cell = `{green-fg}${cell}{/green-fg}`;
+    }
+    if (day === today) {
+      cell = `{underline}${cell}{/underline}`;
+    }
+    if (date === selected.getDate()) {
+      cell = `{inverse}${cell}{/inverse}`;
+    }
+    cells.push(`${cell} `);
+  }
+  const lines = [`{bold}${['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'].map(name => ` ${name}  `).join('')}{/bold}`];
+  for (let start = 0; start < cells.length; start += 7) {
+    lines.push('', cells.slice(start, start + 7).join(''));
+  }
+  lines.push('', '', '{green-fg}*{/green-fg} notes that day', '{underline}today{/underline}');
+  return lines.map(line => ` ${line}`).join('\n');
+}
+
+function showTagFilter(screen, mainArea) {
+  mainArea.children.forEach(child => child.detach());
+
+  let tags = [];
+  try {
+    tags = listTags();
+  } catch (error) {
+    return showError(screen, `Error reading tags: ${error.message}`, () => {
+      showNoteList(screen, mainArea);
+    });
+  }
+
+  const tagList = blessed.list({
+    parent: mainArea,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    tags: true,
+    mouse: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' Filter by tag ',
+    style: {
+      fg: theme.foreground,
+      bg: theme.background,
+      selected: {
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
+      }
+    },
+    items: [
+      '{bold}All notes{/bold}',
+      ...tags.map(({ tag, count }) => paint(`{cyan-fg}#${blessed.escape(tag)}{/cyan-fg}  {yellow-fg}(${count}){/yellow-fg}`))
+    ]
+  });
+
+  const current = tags.findIndex(({ tag }) => tag === activeTag);
+  tagList.select(current + 1);
+
+  tagList.focus();
+  screen.render();
+
+  tagList.on('select', (item, index) => {
+    activeTag = index === 0 ? null : tags[index - 1].tag;
+    showNoteList(screen, mainArea);
+  });
+
+  setViewKeys(screen, 'tags', {
+    select: () => tagList.enterSelected(),
+    back: () => showNoteList(screen, mainArea)
+  });
+}
+
+function showNoteView(screen, mainArea, note) {
+  mainArea.children.forEach(child => child.detach());
+
+  const box = blessed.box({
+    parent: mainArea,
+    top: 0,
+    left: 0,
+    width: '70%',
+    height: '100%',
+    tags: true,
+    scrollable: true,
+    alwaysScroll: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  const backlinksPanel = blessed.box({
+    parent: mainArea,
+    top: 0,
+    left: '70%',
+    width: '30%',
+    height: '100%',
+    tags: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' Linked from ',
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  let backlinks = [];
+  try {
+    backlinks = getBacklinks(note.id);
+  } catch {
+    // The panel stays empty if another note cannot be read
+  }
+
+  // Tab steps through the [[links]] in the content, then the notes in the
+  // "Linked from" panel; Enter follows the selected one.
+  let links = [];
+  let selectedLink = -1;
+
+  // ] and [ move a cursor over the task lines, Space checks or unchecks the
+  // one under it
+  let tasks = [];
+  let selectedTask = -1;
+
+  const renderContent = () => {
+    tasks = extractTasks(note.content);
+    const taskLine = selectedTask >= 0 ? tasks[selectedTask].line : -1;
+    let body;
+    if (showRawMarkdown) {
+      body = escapeTags(note.content);
+      links = extractLinks(note.content);
+    } else {
+      const rendered = renderMarkdownWithLinks(note.content, {
+        width: Math.max(box.width - 4, 10),
+        selectedLink,
+        selectedTaskLine: taskLine
+      });
+      body = rendered.markup;
+      links = rendered.links;
+    }
+    const files = note.externalFiles || [];
+    const attachments = files.length > 0
+      ? `\n\nAttachments:\n${files.map(formatAttachmentItem).join('\n')}`
+      : '';
+    let selected = '';
+    if (selectedLink >= 0 && selectedLink < links.length) {
+      selected = `\nLink: [[${escapeTags(links[selectedLink])}]] (${keyLabel('note', 'follow')} to open)`;
+    } else if (selectedTask >= 0) {
+      const task = tasks[selectedTask];
+      selected = `\nTask: [${task.done ? 'x' : ' '}] ${escapeTags(task.text)} (${keyLabel('note', 'toggleTask')} to toggle)`;
+    }
+    box.setContent(paint(`Title: ${escapeTags(note.title)}\nTags: ${escapeTags(getNoteTags(note).map(tag => `#${tag}`).join(' '))}${selected}\n\nContent:\n${body}${attachments}\n\nPress ${keyLabel('global', 'help')} for all key bindings`));
+
+    backlinksPanel.setContent(paint(backlinks.length === 0
+      ? '{gray-fg}No notes link here{/gray-fg}'
+      : backlinks.map((linking, index) => {
+        const title = escapeTags(linking.title);
+        return links.length + index === selectedLink ? `{inverse}${title}{/inverse}` : title;
+      }).join('\n')));
+  };
+  renderContent();
+
+  box.focus();
   screen.render();
+
+  const scrollToSelection = () => {
+    const line = box.getContent().split('\n').findIndex(text => text.includes('{inverse}'));
+    if (line >= 0 && !showRawMarkdown) {
+      box.scrollTo(line);
+    }
+  };
+
+  const selectLink = step => {
+    const count = links.length + backlinks.length;
+    if (count === 0) {
+      return;
+    }
+    selectedLink = ((selectedLink < 0 && step < 0 ? 0 : selectedLink) + step + count) % count;
+    selectedTask = -1;
+    renderContent();
+    if (selectedLink < links.length) {
+      scrollToSelection();
+    }
+    screen.render();
+  };
+
+  const selectTask = step => {
+    if (tasks.length === 0) {
+      return;
+    }
+    selectedTask = ((selectedTask < 0 && step < 0 ? 0 : selectedTask) + step + tasks.length) % tasks.length;
+    selectedLink = -1;
+    renderContent();
+    scrollToSelection();
+    screen.render();
+  };
+
+  const toggleTask = () => {
+    if (selectedTask < 0) {
+      return;
+    }
+    try {
+      Object.assign(note, setNoteTaskDone(note.id, tasks[selectedTask].line));
+    } catch (error) {
+      return showError(screen, `Error updating task: ${error.message}`, () => {
+        showNoteView(screen, mainArea, note);
+      });
+    }
+    renderContent();
+    screen.render();
+  };
+
+  const followLink = () => {
+    if (selectedLink < 0) {
+      return;
+    }
+    let target;
+    if (selectedLink < links.length) {
+      try {
+        target = findLinkedNote(links[selectedLink]);
+      } catch (error) {
+        return showError(screen, `Error following link: ${error.message}`, () => {
+          showNoteView(screen, mainArea, note);
+        });
+      }
+      if (!target) {
+        return showMessage(screen, `No note called "${links[selectedLink]}".`, () => {
+          showNoteView(screen, mainArea, note);
+        });
+      }
+    } else {
+      target = backlinks[selectedLink - links.length];
+    }
+    noteTrail.push(note.id);
+    openNote(screen, mainArea, target);
+  };
+
+  const goBack = () => {
+    const previous = noteTrail.length > 0 ? getNoteById(noteTrail.pop()) : null;
+    if (previous) {
+      openNote(screen, mainArea, previous);
+    } else {
+      showNoteList(screen, mainArea);
+    }
+  };
+
+  setViewKeys(screen, 'note', {
+    back: goBack,
+    edit: () => showEditNoteForm(screen, mainArea, note),
+    editor: () => editNoteInEditor(screen, mainArea, note),
+    history: () => showHistory(screen, mainArea, note),
+    raw: () => {
+      showRawMarkdown = !showRawMarkdown;
+      renderContent();
+      screen.render();
+    },
+    attach: () => showAttachPrompt(screen, mainArea, note),
+    attachments: () => {
+      if ((note.externalFiles || []).length === 0) {
+        return showMessage(screen, 'This note has no attachments.', () => {
+          showNoteView(screen, mainArea, note);
+        });
+      }
+      showAttachments(screen, mainArea, note);
+    },
+    nextLink: () => selectLink(1),
+    previousLink: () => selectLink(-1),
+    follow: followLink,
+    nextTask: () => selectTask(1),
+    previousTask: () => selectTask(-1),
+    toggleTask
+  });
+}
+
+function formatAttachmentItem(file, index) {
+  return `${index + 1}. {bold}${escapeTags(file.name)}{/bold}  {yellow-fg}(${formatSize(file.size)}, ${file.type}){/yellow-fg}`;
+}
+
+function showAttachPrompt(screen, mainArea, note) {
+  promptForText(screen, mainArea, {
+    label: ' Attach File ',
+    prompt: 'Path of the file to attach:',
+    submitLabel: 'Attach',
+    onSubmit: filePath => {
+      if (!filePath.trim()) {
+        return showNoteView(screen, mainArea, note);
+      }
+      try {
+        attachFile(note.id, path.resolve(expandHome(filePath.trim())));
+      } catch (error) {
+        return showError(screen, `Error attaching file: ${error.message}`, () => {
+          showNoteView(screen, mainArea, note);
+        });
+      }
+      showNoteView(screen, mainArea, getNoteById(note.id));
+    },
+    onCancel: () => showNoteView(screen, mainArea, note)
+  });
 }
 
-function showNoteList(screen, mainArea) {
+// Attachments of a note: Enter/o opens one with the default program, e
+// exports it and r removes (detaches) it
+function showAttachments(screen, mainArea, note) {
   mainArea.children.forEach(child => child.detach());
 
-  // Abilitiamo "tags: true" per colorare parzialmente i titoli/data
-  const noteList = blessed.list({
+  const files = note.externalFiles || [];
+  const fileList = blessed.list({
     parent: mainArea,
     top: 0,
     left: 0,
     width: '100%',
     height: '100%',
     tags: true,
-    keys: true,
-    vi: true,
     mouse: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' Attachments ',
     style: {
       fg: theme.foreground,
       bg: theme.background,
       selected: {
-        bg: 'brightmagenta',
-        fg: 'white'
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
       }
     },
-    items: []
+    items: files.map((file, index) => paint(formatAttachmentItem(file, index)))
   });
 
-  let all = [];
+  fileList.focus();
+  screen.render();
+
+  const back = () => showAttachments(screen, mainArea, getNoteById(note.id));
+
+  const openSelected = () => {
+    const file = files[fileList.selected];
+    if (!file) {
+      return;
+    }
+    try {
+      openAttachment(resolveNotesDir(), file, error => {
+        if (error) {
+          showError(screen, error.message, back);
+        }
+      });
+    } catch (error) {
+      showError(screen, `Error opening attachment: ${error.message}`, back);
+    }
+  };
+
+  const exportSelected = () => {
+    const file = files[fileList.selected];
+    if (!file) {
+      return;
+    }
+    promptForText(screen, mainArea, {
+      label: ' Export Attachment ',
+      prompt: 'Copy to (file or directory):',
+      value: process.cwd(),
+      submitLabel: 'Export',
+      onSubmit: dest => {
+        let written;
+        try {
+          written = exportAttachment(resolveNotesDir(), file, path.resolve(expandHome(dest.trim() || '.')));
+        } catch (error) {
+          return showError(screen, `Error exporting attachment: ${error.message}`, back);
+        }
+        showMessage(screen, `Saved to ${written}`, back);
+      },
+      onCancel: back
+    });
+  };
+
+  const detachSelected = () => {
+    const file = files[fileList.selected];
+    if (!file) {
+      return;
+    }
+    confirmWithYes(screen, mainArea, {
+      label: ' Detach Attachment ',
+      prompt: `Type YES to detach ${file.name}:`,
+      onConfirm: () => {
+        try {
+          detachFile(note.id, file.name);
+        } catch (error) {
+          return showError(screen, `Error detaching attachment: ${error.message}`, back);
+        }
+        showNoteView(screen, mainArea, getNoteById(note.id));
+      },
+      onCancel: back
+    });
+  };
+
+  setViewKeys(screen, 'attachments', {
+    open: openSelected,
+    export: exportSelected,
+    detach: detachSelected,
+    back: () => showNoteView(screen, mainArea, getNoteById(note.id))
+  });
+}
+
+// Encrypted notes go to the editor only after a warning, as the temp copy of
+// their content is not encrypted
+function editNoteInEditor(screen, mainArea, note) {
+  if (!note.encrypted) {
+    return runEditor(screen, mainArea, note);
+  }
+  askYesNo(screen, 'The editor gets the decrypted text in a temporary file, deleted when it closes. Continue? (y/n)', yes => {
+    if (yes) {
+      runEditor(screen, mainArea, note, { plaintext: true });
+    } else {
+      showNoteView(screen, mainArea, note);
+    }
+  });
+}
+
+// Suspends the screen, runs $VISUAL/$EDITOR on a temp copy of the content and
+// saves it through updateNote if the file changed.
+function runEditor(screen, mainArea, note, options) {
+  let filePath;
   try {
-    all = getAllNotes();
+    filePath = writeEditFile(note, options);
   } catch (error) {
-    return showError(screen, `Error reading notes: ${error.message}`, () => {
-      all = [];
+    return showError(screen, `Error preparing editor: ${error.message}`, () => {
+      showNoteView(screen, mainArea, note);
     });
   }
 
-  // Applichiamo markup per titolo e data
-  const items = all.map((note, index) => {
-    const dateStr = note.created_at.slice(0, 10);
-    return `{bold}{green-fg}${index + 1}. ${note.title}{/green-fg}{/bold}  {yellow-fg}(${dateStr}){/yellow-fg}`;
+  screen.exec(getEditorShellCommand(filePath), [], { shell: true }, (err, success) => {
+    let content = null;
+    try {
+      if (err) {
+        throw err;
+      }
+      if (!success) {
+        throw new Error('Editor exited with an error, note left unchanged');
+      }
+      content = readEditedContent(filePath);
+    } catch (error) {
+      return showError(screen, `Error running editor: ${error.message}`, () => {
+        showNoteView(screen, mainArea, note);
+      });
+    } finally {
+      removeEditFile(filePath);
+    }
+
+    if (content === note.content) {
+      return showMessage(screen, 'No changes.', () => {
+        showNoteView(screen, mainArea, note);
+      });
+    }
+    try {
+      const updated = updateNote(note.id, { content }, { expectedUpdatedAt: note.updated_at });
+      showMessage(screen, 'Note updated successfully!', () => {
+        showNoteView(screen, mainArea, updated);
+      });
+    } catch (error) {
+      if (error.code === 'ECONFLICT') {
+        const { title, tags, due_at: dueAt, remind_at: remindAt } = note;
+        return resolveEditConflict(screen, mainArea, note, error.note, { title, content, tags, due_at: dueAt, remind_at: remindAt });
+      }
+      showError(screen, `Error updating note: ${error.message}`, () => {
+        showNoteView(screen, mainArea, note);
+      });
+    }
   });
+}
 
-  noteList.notes = all;
-  noteList.setItems(items);
+function showHistory(screen, mainArea, note) {
+  mainArea.children.forEach(child => child.detach());
 
-  noteList.focus();
+  let history = [];
+  try {
+    history = getNoteHistory(note.id);
+  } catch (error) {
+    return showError(screen, `Error reading history: ${error.message}`, () => {
+      showNoteView(screen, mainArea, note);
+    });
+  }
+
+  const historyList = blessed.list({
+    parent: mainArea,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    tags: true,
+    mouse: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ` History: ${note.title} `,
+    style: {
+      fg: theme.foreground,
+      bg: theme.background,
+      selected: {
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
+      }
+    },
+    items: history.length > 0
+      ? history.map(revision =>
+        paint(`{bold}{green-fg}rev ${revision.rev}. ${blessed.escape(revision.title)}{/green-fg}{/bold}  {yellow-fg}(${revision.updated_at.slice(0, 16).replace('T', ' ')}){/yellow-fg}`))
+      : ['No earlier revisions']
+  });
+
+  historyList.focus();
   screen.render();
 
-  // Key bindings
-  screen.key(['q'], () => process.exit(0));
-  screen.key(['n'], () => showCreateNoteForm(screen, mainArea));
-  screen.key(['s'], () => showSearchPrompt(screen, mainArea));
-  screen.key(['d'], () => {
-    const selIndex = noteList.selected;
-    if (noteList.notes && noteList.notes[selIndex]) {
-      const note = noteList.notes[selIndex];
-      confirmDeleteNoteUI(screen, mainArea, note.id);
+  historyList.on('select', (item, index) => {
+    if (history[index]) {
+      showRevisionDiff(screen, mainArea, note, history[index]);
     }
   });
 
-  noteList.on('select', (item, index) => {
-    if (noteList.notes && noteList.notes[index]) {
-      showNoteView(screen, mainArea, noteList.notes[index]);
-    }
+  setViewKeys(screen, 'history', {
+    open: () => historyList.enterSelected(),
+    back: () => showNoteView(screen, mainArea, note)
   });
 }
 
-function showNoteView(screen, mainArea, note) {
+function showRevisionDiff(screen, mainArea, note, revision) {
   mainArea.children.forEach(child => child.detach());
 
   const box = blessed.box({
@@ -286,26 +2530,308 @@ function showNoteView(screen, mainArea, note) {
     left: 0,
     width: '100%',
     height: '100%',
+    tags: true,
     scrollable: true,
     alwaysScroll: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ` rev ${revision.rev} -> current `,
     style: { fg: theme.foreground, bg: theme.background },
-    content: `Title: ${note.title}\n\nContent:\n${note.content}\n\nPress Esc or q to go back\nPress e to edit this note`
+    content: paint(formatNoteDiff(revision, note))
+  });
+
+  box.focus();
+  screen.render();
+
+  setViewKeys(screen, 'diff', {
+    restore: () => {
+      try {
+        const restored = restoreNoteRevision(note.id, revision.rev);
+        showMessage(screen, `Revision ${revision.rev} restored.`, () => {
+          showNoteView(screen, mainArea, restored);
+        });
+      } catch (error) {
+        showError(screen, `Error restoring revision: ${error.message}`, () => {
+          showHistory(screen, mainArea, note);
+        });
+      }
+    },
+    back: () => showHistory(screen, mainArea, note)
+  });
+}
+
+// Title and content changes from one version of a note to another
+function formatNoteDiff(from, to) {
+  const lines = [];
+  if (from.title !== to.title) {
+    lines.push(`{red-fg}- Title: ${blessed.escape(from.title)}{/red-fg}`);
+    lines.push(`{green-fg}+ Title: ${blessed.escape(to.title)}{/green-fg}`);
+    lines.push('');
+  }
+  for (const { type, line } of diffLines(from.content, to.content)) {
+    const text = blessed.escape(`${type} ${line}`);
+    if (type === '-') {
+      lines.push(`{red-fg}${text}{/red-fg}`);
+    } else if (type === '+') {
+      lines.push(`{green-fg}${text}{/green-fg}`);
+    } else {
+      lines.push(text);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Notes changed on this machine and on another one since the last sync
+function showSyncConflicts(screen, mainArea) {
+  mainArea.children.forEach(child => child.detach());
+
+  let conflicts = [];
+  try {
+    conflicts = getSyncConflicts();
+  } catch (error) {
+    return showError(screen, `Error reading sync conflicts: ${error.message}`, () => {
+      showNoteList(screen, mainArea);
+    });
+  }
+  if (conflicts.length === 0) {
+    return showNoteList(screen, mainArea);
+  }
+  if (conflicts.some(({ mine, theirs }) => mine.locked || theirs.locked)) {
+    return withUnlockedVault(screen, mainArea, () => showSyncConflicts(screen, mainArea));
+  }
+
+  const conflictList = blessed.list({
+    parent: mainArea,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '40%',
+    tags: true,
+    mouse: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' Changed here and on another machine ',
+    style: {
+      fg: theme.foreground,
+      bg: theme.background,
+      selected: {
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
+      }
+    },
+    items: conflicts.map(({ mine, theirs }, index) =>
+      paint(`{bold}${index + 1}. ${blessed.escape(mine.title)}{/bold}  {yellow-fg}(here ${formatWhen(mine.updated_at)}, other ${formatWhen(theirs.updated_at)}){/yellow-fg}`))
+  });
+
+  const diffBox = blessed.box({
+    parent: mainArea,
+    top: '40%',
+    left: 0,
+    width: '100%',
+    height: '60%',
+    tags: true,
+    scrollable: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' - here  + other machine ',
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  const updateDiff = () => {
+    const { mine, theirs } = conflicts[conflictList.selected];
+    diffBox.setContent(paint(formatNoteDiff(mine, theirs)));
+    diffBox.scrollTo(0);
+  };
+  updateDiff();
+
+  conflictList.on('select item', () => {
+    updateDiff();
+    screen.render();
+  });
+
+  conflictList.focus();
+  screen.render();
+
+  const settle = (id, keep, done) => {
+    try {
+      resolveSyncConflict(id, keep);
+    } catch (error) {
+      return showError(screen, `Error resolving conflict: ${error.message}`, () => {
+        showSyncConflicts(screen, mainArea);
+      });
+    }
+    showMessage(screen, done, () => showSyncConflicts(screen, mainArea));
+  };
+
+  conflictList.on('select', (item, index) => {
+    const { id, mine, theirs } = conflicts[index];
+    const choices = [
+      ['Keep the version of this machine', () => settle(id, 'mine', 'Kept the version of this machine.')],
+      ['Take the version of the other machine', () => settle(id, 'theirs', 'Took the version of the other machine.')],
+      ['Keep both (the other one as a new note)', () => settle(id, 'both', 'Kept both versions.')],
+      // The merged text is saved over this machine's version, which settles it
+      ['Merge them', () => showEditNoteForm(screen, mainArea, getNoteById(id) || mine, {
+        ...mine,
+        content: markConflicts(mine.content, theirs.content, 'this machine', 'other machine'),
+        tags: [...new Set([...(mine.tags || []), ...(theirs.tags || [])])]
+      }, () => resolveSyncConflict(id, 'mine'))],
+      ['Cancel', () => showSyncConflicts(screen, mainArea)]
+    ];
+    askChoice(screen, `"${mine.title}" was changed on this machine and on another one.`,
+      choices.map(([label]) => label), choice => choices[choice ?? choices.length - 1][1]());
+  });
+
+  setViewKeys(screen, 'conflicts', {
+    resolve: () => conflictList.enterSelected(),
+    back: () => showNoteList(screen, mainArea)
+  });
+}
+
+function showTrash(screen, mainArea) {
+  mainArea.children.forEach(child => child.detach());
+
+  let trashed = [];
+  try {
+    trashed = getTrashedNotes();
+  } catch (error) {
+    return showError(screen, `Error reading trash: ${error.message}`, () => {
+      showNoteList(screen, mainArea);
+    });
+  }
+
+  const trashList = blessed.list({
+    parent: mainArea,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    tags: true,
+    mouse: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    label: ' Trash ',
+    style: {
+      fg: theme.foreground,
+      bg: theme.background,
+      selected: {
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
+      }
+    },
+    items: trashed.length > 0
+      ? trashed.map((note, index) =>
+        paint(`{bold}{green-fg}${index + 1}. ${blessed.escape(note.title)}{/green-fg}{/bold}  {red-fg}(deleted ${note.deleted_at.slice(0, 10)}){/red-fg}`))
+      : ['Trash is empty']
+  });
+
+  trashList.focus();
+  screen.render();
+
+  const selectedNote = () => trashed[trashList.selected];
+
+  setViewKeys(screen, 'trash', {
+    restore: () => {
+      const note = selectedNote();
+      if (!note) {
+        return;
+      }
+      try {
+        restoreNote(note.id);
+        showMessage(screen, 'Note restored.', () => showTrash(screen, mainArea));
+      } catch (error) {
+        showError(screen, `Error restoring note: ${error.message}`, () => showTrash(screen, mainArea));
+      }
+    },
+    purge: () => {
+      const note = selectedNote();
+      if (!note) {
+        return;
+      }
+      confirmWithYes(screen, mainArea, {
+        label: ' Confirm Purge ',
+        prompt: 'Type YES to delete the note permanently:',
+        onConfirm: () => {
+          try {
+            purgeNote(note.id);
+            showMessage(screen, 'Note purged.', () => showTrash(screen, mainArea));
+          } catch (error) {
+            showError(screen, `Error purging note: ${error.message}`, () => showTrash(screen, mainArea));
+          }
+        },
+        onCancel: () => showTrash(screen, mainArea)
+      });
+    },
+    empty: () => {
+      if (trashed.length === 0) {
+        return;
+      }
+      confirmWithYes(screen, mainArea, {
+        label: ' Empty Trash ',
+        prompt: `Type YES to permanently delete ${trashed.length} note(s):`,
+        onConfirm: () => {
+          try {
+            emptyTrash();
+            showMessage(screen, 'Trash emptied.', () => showTrash(screen, mainArea));
+          } catch (error) {
+            showError(screen, `Error emptying the trash: ${error.message}`, () => showTrash(screen, mainArea));
+          }
+        },
+        onCancel: () => showTrash(screen, mainArea)
+      });
+    },
+    back: () => showNoteList(screen, mainArea)
   });
+}
 
-  box.focus();
-  screen.render();
-
-  box.key(['escape', 'q'], () => {
-    showNoteList(screen, mainArea);
+// A blank note, or one from a template when there are any
+function showNewNote(screen, mainArea) {
+  let names;
+  try {
+    names = listTemplates();
+  } catch (error) {
+    return showError(screen, `Error reading templates: ${error.message}`, () => {
+      showNoteList(screen, mainArea);
+    });
+  }
+  if (names.length === 0) {
+    return showCreateNoteForm(screen, mainArea);
+  }
+  askChoice(screen, 'Start from a template?', ['Blank note', ...names], index => {
+    if (index === null) {
+      return showNoteList(screen, mainArea);
+    }
+    if (index === 0) {
+      return showCreateNoteForm(screen, mainArea);
+    }
+    const name = names[index - 1];
+    let text;
+    try {
+      text = loadTemplate(name);
+    } catch (error) {
+      return showError(screen, `Error reading template: ${error.message}`, () => {
+        showNoteList(screen, mainArea);
+      });
+    }
+    askTemplatePrompts(screen, mainArea, name, getTemplatePrompts(text), {}, prompts => {
+      showCreateNoteForm(screen, mainArea, { name, content: fillTemplate(text, { ...getDateValues(), prompts }) });
+    });
   });
+}
 
-  box.key(['e'], () => {
-    showEditNoteForm(screen, mainArea, note);
+// Asks for the {{prompt:...}} values of a template one by one
+function askTemplatePrompts(screen, mainArea, name, labels, prompts, callback) {
+  if (labels.length === 0) {
+    return callback(prompts);
+  }
+  const [label, ...rest] = labels;
+  promptForText(screen, mainArea, {
+    label: ` New Note from "${name}" `,
+    prompt: `${label}:`,
+    submitLabel: 'Next',
+    onSubmit: value => askTemplatePrompts(screen, mainArea, name, rest, { ...prompts, [label]: value }, callback),
+    onCancel: () => showNoteList(screen, mainArea)
   });
 }
 
-function showCreateNoteForm(screen, mainArea) {
+// template: { name, content } with the placeholders filled in, except
+// {{title}}, which gets the title when the note is saved
+function showCreateNoteForm(screen, mainArea, template = null) {
   mainArea.children.forEach(child => child.detach());
 
   const form = blessed.form({
@@ -316,9 +2842,9 @@ function showCreateNoteForm(screen, mainArea) {
     height: '100%',
     keys: true,
     mouse: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background },
-    label: ' New Note '
+    label: template ? ` New Note from "${template.name}" ` : ' New Note '
   });
 
   blessed.text({
@@ -339,7 +2865,7 @@ function showCreateNoteForm(screen, mainArea) {
     keys: true,
     mouse: true,
     inputOnFocus: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background }
   });
 
@@ -347,6 +2873,30 @@ function showCreateNoteForm(screen, mainArea) {
     parent: form,
     top: 6,
     left: 2,
+    content: 'Tags (comma-separated, #hashtags in content also count):',
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  const tagsInput = blessed.textbox({
+    parent: form,
+    name: 'tags',
+    top: 7,
+    left: 2,
+    width: '50%',
+    height: 3,
+    keys: true,
+    mouse: true,
+    inputOnFocus: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  addDateInputs(form);
+
+  blessed.text({
+    parent: form,
+    top: 11,
+    left: 2,
     content: 'Content:',
     style: { fg: theme.foreground, bg: theme.background }
   });
@@ -354,18 +2904,21 @@ function showCreateNoteForm(screen, mainArea) {
   const contentInput = blessed.textarea({
     parent: form,
     name: 'content',
-    top: 7,
+    top: 12,
     left: 2,
     width: '95%',
-    height: '40%',
+    height: '100%-17',
     keys: true,
     mouse: true,
     inputOnFocus: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background },
     scrollable: true,
     alwaysScroll: true
   });
+  if (template) {
+    contentInput.setValue(template.content);
+  }
 
   const submitButton = blessed.button({
     parent: form,
@@ -413,14 +2966,21 @@ function showCreateNoteForm(screen, mainArea) {
 
   form.on('submit', data => {
     const title = data.title?.trim();
-    const content = data.content?.trim();
+    const content = template ? fillTemplate(data.content || '', { title }).trim() : data.content?.trim();
+    const tags = parseTagList(data.tags);
+    let dates;
+    try {
+      dates = parseDateInputs(data);
+    } catch (error) {
+      return showMessage(screen, error.message, () => titleInput.focus());
+    }
     if (!title) {
       showMessage(screen, 'Title is required!', () => {
         titleInput.focus();
       });
     } else {
       try {
-        createNote(title, content);
+        createNote(title, content, tags, dates);
         showMessage(screen, 'Note created successfully!', () => {
           showNoteList(screen, mainArea);
         });
@@ -432,15 +2992,57 @@ function showCreateNoteForm(screen, mainArea) {
     }
   });
 
-  screen.key(['escape', 'q'], () => {
-    showNoteList(screen, mainArea);
+  setViewKeys(screen, 'form', {
+    cancel: () => showNoteList(screen, mainArea)
   });
 
   screen.render();
   titleInput.focus();
 }
 
-function showEditNoteForm(screen, mainArea, note) {
+// "Due" and "Remind" textboxes next to the tags, filled from note if given.
+// They take +3d, tomorrow 9:00, 2025-03-14 17:30 and so on.
+function addDateInputs(form, note = null) {
+  [['due', ' Due ', '53%'], ['remind', ' Remind ', '75%']].forEach(([name, label, left]) => {
+    const input = blessed.textbox({
+      parent: form,
+      name,
+      label,
+      top: 7,
+      left,
+      width: '21%',
+      height: 3,
+      keys: true,
+      mouse: true,
+      inputOnFocus: true,
+      border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+      style: { fg: theme.foreground, bg: theme.background }
+    });
+    const value = note && note[`${name}_at`];
+    if (value) {
+      input.setValue(formatWhen(value));
+    }
+  });
+}
+
+// Throws when a date cannot be understood; empty fields clear the date
+function parseDateInputs(data) {
+  const fields = {};
+  for (const [name, label] of [['due', 'Due date'], ['remind', 'Reminder']]) {
+    try {
+      const date = parseWhen(data[name]);
+      fields[`${name}_at`] = date ? date.toISOString() : null;
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  }
+  return fields;
+}
+
+// draft: values to fill the form with instead of the note's own (used by the
+// merge view). Saving fails with a conflict if the note changed on disk since
+// note was read. afterSave runs once the note is saved.
+function showEditNoteForm(screen, mainArea, note, draft = note, afterSave = null) {
   mainArea.children.forEach(child => child.detach());
 
   const form = blessed.form({
@@ -451,9 +3053,9 @@ function showEditNoteForm(screen, mainArea, note) {
     height: '100%',
     keys: true,
     mouse: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background },
-    label: ' Edit Note '
+    label: draft === note ? ' Edit Note ' : ' Merge Note - keep the lines you want and remove the <<<<<<< ======= >>>>>>> markers '
   });
 
   blessed.text({
@@ -474,15 +3076,39 @@ function showEditNoteForm(screen, mainArea, note) {
     keys: true,
     mouse: true,
     inputOnFocus: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background }
   });
-  titleInput.setValue(note.title);
+  titleInput.setValue(draft.title);
 
   blessed.text({
     parent: form,
     top: 6,
     left: 2,
+    content: 'Tags (comma-separated, #hashtags in content also count):',
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  const tagsInput = blessed.textbox({
+    parent: form,
+    name: 'tags',
+    top: 7,
+    left: 2,
+    width: '50%',
+    height: 3,
+    keys: true,
+    mouse: true,
+    inputOnFocus: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  addDateInputs(form, draft);
+
+  blessed.text({
+    parent: form,
+    top: 11,
+    left: 2,
     content: 'Content:',
     style: { fg: theme.foreground, bg: theme.background }
   });
@@ -490,19 +3116,20 @@ function showEditNoteForm(screen, mainArea, note) {
   const contentInput = blessed.textarea({
     parent: form,
     name: 'content',
-    top: 7,
+    top: 12,
     left: 2,
     width: '95%',
-    height: '40%',
+    height: '100%-17',
     keys: true,
     mouse: true,
     inputOnFocus: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background },
     scrollable: true,
     alwaysScroll: true
   });
-  contentInput.setValue(note.content);
+  tagsInput.setValue((draft.tags || []).join(', '));
+  contentInput.setValue(draft.content);
 
   const saveButton = blessed.button({
     parent: form,
@@ -551,33 +3178,124 @@ function showEditNoteForm(screen, mainArea, note) {
   form.on('submit', data => {
     const updatedTitle = data.title?.trim();
     const updatedContent = data.content?.trim();
+    const updatedTags = parseTagList(data.tags);
+    let dates;
+    try {
+      dates = parseDateInputs(data);
+    } catch (error) {
+      return showMessage(screen, error.message, () => titleInput.focus());
+    }
     if (!updatedTitle) {
       showMessage(screen, 'Title is required!', () => {
         titleInput.focus();
       });
     } else {
+      const mine = { title: updatedTitle, content: updatedContent, tags: updatedTags, ...dates };
+      let linking;
       try {
-        updateNote(note.id, { title: updatedTitle, content: updatedContent });
-        showMessage(screen, 'Note updated successfully!', () => {
+        updateNote(note.id, mine, { expectedUpdatedAt: note.updated_at });
+        if (afterSave) {
+          afterSave();
+        }
+        linking = updatedTitle !== note.title ? countTitleLinks(note) : 0;
+      } catch (error) {
+        if (error.code === 'ECONFLICT') {
+          return resolveEditConflict(screen, mainArea, note, error.note, mine);
+        }
+        return showError(screen, `Error updating note: ${error.message}`, () => {
           showNoteList(screen, mainArea);
         });
-      } catch (error) {
-        showError(screen, `Error updating note: ${error.message}`, () => {
+      }
+      if (linking === 0) {
+        return showMessage(screen, 'Note updated successfully!', () => {
           showNoteList(screen, mainArea);
         });
       }
+      askYesNo(screen, `${linking} note(s) link to [[${note.title}]]. Rewrite those links to [[${updatedTitle}]]? (y/n)`, yes => {
+        if (!yes) {
+          return showNoteList(screen, mainArea);
+        }
+        try {
+          const { updated, skipped } = rewriteIncomingLinks(note, updatedTitle);
+          showMessage(screen, `Note updated, links rewritten in ${updated} note(s)${skipped ? ` (${skipped} locked note(s) skipped)` : ''}.`, () => {
+            showNoteList(screen, mainArea);
+          });
+        } catch (error) {
+          showError(screen, `Error rewriting links: ${error.message}`, () => {
+            showNoteList(screen, mainArea);
+          });
+        }
+      });
     }
   });
 
-  screen.key(['escape', 'q'], () => {
-    showNoteList(screen, mainArea);
+  setViewKeys(screen, 'form', {
+    cancel: () => showNoteList(screen, mainArea)
   });
 
   screen.render();
   titleInput.focus();
 }
 
+// The note was saved elsewhere while it was being edited. current is the
+// version on disk now, mine the values of the form.
+function resolveEditConflict(screen, mainArea, note, current, mine) {
+  const backToList = () => showNoteList(screen, mainArea);
+  const choices = [
+    ['Overwrite it with my version', () => {
+      try {
+        updateNote(current.id, mine);
+      } catch (error) {
+        return showError(screen, `Error updating note: ${error.message}`, backToList);
+      }
+      showMessage(screen, 'Note updated successfully!', backToList);
+    }],
+    ['Keep both (save mine as a new note)', () => {
+      const title = `${mine.title} (conflicted copy)`;
+      try {
+        createNote(title, mine.content, mine.tags, { due_at: mine.due_at, remind_at: mine.remind_at });
+      } catch (error) {
+        return showError(screen, `Error creating note: ${error.message}`, backToList);
+      }
+      showMessage(screen, `Your version was saved as "${title}".`, backToList);
+    }],
+    ['Merge the two versions', () => {
+      showEditNoteForm(screen, mainArea, current, {
+        ...mine,
+        content: markConflicts(mine.content, current.content, 'yours', 'saved elsewhere'),
+        tags: [...new Set([...(mine.tags || []), ...(current.tags || [])])]
+      });
+    }],
+    ['Go back to editing', () => showEditNoteForm(screen, mainArea, note, mine)]
+  ];
+  askChoice(screen, `"${current.title}" was changed elsewhere while you were editing it.`,
+    choices.map(([label]) => label), index => choices[index ?? choices.length - 1][1]());
+}
+
 function confirmDeleteNoteUI(screen, mainArea, noteId) {
+  confirmWithYes(screen, mainArea, {
+    label: ' Confirm Deletion ',
+    prompt: 'Type YES to move the note to the trash:',
+    onConfirm: () => {
+      try {
+        if (!deleteNote(noteId)) {
+          throw new Error('Note not found');
+        }
+        showMessage(screen, 'Note moved to the trash.', () => {
+          showNoteList(screen, mainArea);
+        });
+      } catch (error) {
+        showError(screen, `Error deleting note: ${error.message}`, () => {
+          showNoteList(screen, mainArea);
+        });
+      }
+    },
+    onCancel: () => showNoteList(screen, mainArea)
+  });
+}
+
+// Destructive actions ask the user to type YES before running onConfirm
+function confirmWithYes(screen, mainArea, { label, prompt, onConfirm, onCancel }) {
   mainArea.children.forEach(child => child.detach());
 
   const form = blessed.form({
@@ -588,16 +3306,16 @@ function confirmDeleteNoteUI(screen, mainArea, noteId) {
     height: 'shrink',
     keys: true,
     mouse: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background },
-    label: ' Confirm Deletion '
+    label
   });
 
   blessed.text({
     parent: form,
     top: 1,
     left: 1,
-    content: 'Type YES to delete the note:',
+    content: prompt,
     style: { fg: theme.foreground, bg: theme.background }
   });
 
@@ -611,7 +3329,7 @@ function confirmDeleteNoteUI(screen, mainArea, noteId) {
     keys: true,
     mouse: true,
     inputOnFocus: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background }
   });
   input.focus();
@@ -656,30 +3374,17 @@ function confirmDeleteNoteUI(screen, mainArea, noteId) {
   cancelButton.key(['left', 'right'], () => okayButton.focus());
 
   okayButton.on('press', () => form.submit());
-  cancelButton.on('press', () => {
-    showNoteList(screen, mainArea);
-  });
+  cancelButton.on('press', onCancel);
 
   form.on('submit', data => {
     if ((data.confirm || '').trim() === 'YES') {
-      try {
-        deleteNote(noteId);
-        showMessage(screen, 'Note deleted.', () => {
-          showNoteList(screen, mainArea);
-        });
-      } catch (error) {
-        showError(screen, `Error deleting note: ${error.message}`, () => {
-          showNoteList(screen, mainArea);
-        });
-      }
+      onConfirm();
     } else {
-      showNoteList(screen, mainArea);
+      onCancel();
     }
   });
 
-  screen.key(['escape', 'q'], () => {
-    showNoteList(screen, mainArea);
-  });
+  setViewKeys(screen, 'form', { cancel: onCancel });
 
   screen.render();
 }
@@ -695,7 +3400,7 @@ function showSearchPrompt(screen, mainArea) {
     height: 'shrink',
     keys: true,
     mouse: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background },
     label: ' Search Notes '
   });
@@ -704,7 +3409,7 @@ function showSearchPrompt(screen, mainArea) {
     parent: form,
     top: 1,
     left: 1,
-    content: 'Enter search query:',
+    content: 'Enter search query (try "phrase", OR, -word, tag:x):',
     style: { fg: theme.foreground, bg: theme.background }
   });
 
@@ -718,7 +3423,7 @@ function showSearchPrompt(screen, mainArea) {
     keys: true,
     mouse: true,
     inputOnFocus: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: { fg: theme.foreground, bg: theme.background }
   });
   input.focus();
@@ -790,8 +3495,8 @@ function showSearchPrompt(screen, mainArea) {
     }
   });
 
-  screen.key(['escape', 'q'], () => {
-    showNoteList(screen, mainArea);
+  setViewKeys(screen, 'form', {
+    cancel: () => showNoteList(screen, mainArea)
   });
 
   screen.render();
@@ -807,26 +3512,20 @@ function showSearchResults(screen, mainArea, results) {
     width: '100%',
     height: '100%',
     tags: true,
-    keys: true,
-    vi: true,
     mouse: true,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     style: {
       fg: theme.foreground,
       bg: theme.background,
       selected: {
-        bg: 'brightmagenta',
-        fg: 'white'
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
       }
     },
     items: []
   });
 
-  // Applichiamo markup a ogni riga
-  const items = results.map((note, index) => {
-    const dateStr = note.created_at.slice(0, 10);
-    return `{bold}{green-fg}${index + 1}. ${note.title}{/green-fg}{/bold}  {yellow-fg}(${dateStr}){/yellow-fg}`;
-  });
+  const items = results.map((note, index) => paint(formatNoteItem(note, index)));
 
   resultsList.notes = results;
   resultsList.setItems(items);
@@ -834,36 +3533,144 @@ function showSearchResults(screen, mainArea, results) {
   resultsList.focus();
   screen.render();
 
-  // Press d to delete
-  screen.key(['d'], () => {
-    const selIndex = resultsList.selected;
-    if (resultsList.notes && resultsList.notes[selIndex]) {
-      const note = resultsList.notes[selIndex];
-      confirmDeleteNoteUI(screen, mainArea, note.id);
+  resultsList.on('select', (item, index) => {
+    if (resultsList.notes && resultsList.notes[index]) {
+      openNote(screen, mainArea, resultsList.notes[index]);
     }
   });
 
-  // Press Enter to open
-  resultsList.on('select', (item, index) => {
-    if (resultsList.notes && resultsList.notes[index]) {
-      showNoteView(screen, mainArea, resultsList.notes[index]);
+  setViewKeys(screen, 'results', {
+    open: () => resultsList.enterSelected(),
+    delete: () => {
+      const note = resultsList.notes[resultsList.selected];
+      if (note) {
+        confirmDeleteNoteUI(screen, mainArea, note.id);
+      }
+    },
+    back: () => showNoteList(screen, mainArea)
+  });
+}
+
+function showPassphrasePrompt(screen, mainArea, onUnlock) {
+  promptForText(screen, mainArea, {
+    label: ' Vault Locked ',
+    prompt: 'Enter the vault passphrase:',
+    submitLabel: 'Unlock',
+    censor: true,
+    onSubmit: passphrase => {
+      try {
+        unlockVault(passphrase);
+      } catch (error) {
+        return showError(screen, error.message, () => {
+          showNoteList(screen, mainArea);
+        });
+      }
+      onUnlock();
+    },
+    onCancel: () => showNoteList(screen, mainArea)
+  });
+}
+
+// One-line input form, confirmed with Enter or the submit button
+function promptForText(screen, mainArea, { label, prompt, value = '', submitLabel = 'Okay', censor = false, onSubmit, onCancel }) {
+  mainArea.children.forEach(child => child.detach());
+
+  const form = blessed.form({
+    parent: mainArea,
+    top: 'center',
+    left: 'center',
+    width: '60%',
+    height: 'shrink',
+    keys: true,
+    mouse: true,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    style: { fg: theme.foreground, bg: theme.background },
+    label
+  });
+
+  blessed.text({
+    parent: form,
+    top: 1,
+    left: 1,
+    content: prompt,
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+
+  const input = blessed.textbox({
+    parent: form,
+    name: 'text',
+    top: 3,
+    left: 1,
+    width: '90%',
+    height: 3,
+    keys: true,
+    mouse: true,
+    inputOnFocus: true,
+    censor,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    style: { fg: theme.foreground, bg: theme.background }
+  });
+  input.setValue(value);
+  input.on('submit', () => setImmediate(() => form.submit()));
+  input.focus();
+
+  const okayButton = blessed.button({
+    parent: form,
+    mouse: true,
+    keys: true,
+    shrink: true,
+    padding: { left: 1, right: 1 },
+    top: 7,
+    left: '25%',
+    name: 'okay',
+    content: submitLabel,
+    style: {
+      fg: theme.primaryFg,
+      bg: theme.primaryBg,
+      focus: { bg: theme.highlightBg, fg: theme.highlightFg },
+      hover: { bg: theme.highlightBg, fg: theme.highlightFg }
     }
   });
 
-  // Press q/Esc to go back
-  screen.key(['q', 'escape'], () => {
-    showNoteList(screen, mainArea);
+  const cancelButton = blessed.button({
+    parent: form,
+    mouse: true,
+    keys: true,
+    shrink: true,
+    padding: { left: 1, right: 1 },
+    top: 7,
+    left: '50%',
+    name: 'cancel',
+    content: 'Cancel',
+    style: {
+      fg: theme.secondaryFg,
+      bg: theme.secondaryBg,
+      focus: { bg: theme.highlightBg, fg: theme.highlightFg },
+      hover: { bg: theme.highlightBg, fg: theme.highlightFg }
+    }
   });
+
+  okayButton.key(['left', 'right'], () => cancelButton.focus());
+  cancelButton.key(['left', 'right'], () => okayButton.focus());
+
+  okayButton.on('press', () => form.submit());
+  cancelButton.on('press', onCancel);
+
+  form.on('submit', data => onSubmit(data.text || ''));
+
+  setViewKeys(screen, 'form', { cancel: onCancel });
+
+  screen.render();
 }
 
 /******************************************************************************
- * 6) HELPER FUNCTIONS: showMessage, showError
+ * 4) HELPER FUNCTIONS: showMessage, showError, askYesNo, askChoice
  ******************************************************************************/
 
 function showMessage(screen, text, callback) {
   const msg = blessed.message({
     parent: screen,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
     width: '50%',
     height: 'shrink',
     top: 'center',
@@ -879,7 +3686,7 @@ function showMessage(screen, text, callback) {
 function showError(screen, errorText, callback) {
   const msg = blessed.message({
     parent: screen,
-    border: { type: 'line', fg: theme.borderFg },
+    border: { type: 'line', fg: theme.borderFg, bg: theme.errorBg },
     width: '60%',
     height: 'shrink',
     top: 'center',
@@ -891,3 +3698,67 @@ function showError(screen, errorText, callback) {
   });
   msg.display(errorText, 3, callback);
 }
+
+// Yes/no question: y or Enter answers yes, n or Esc answers no
+function askYesNo(screen, text, callback) {
+  const question = blessed.question({
+    parent: screen,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    width: '60%',
+    height: 'shrink',
+    top: 'center',
+    left: 'center',
+    style: { fg: theme.foreground, bg: theme.background },
+    label: ' Question ',
+    keys: true,
+    mouse: true
+  });
+  question.ask(text, (err, yes) => {
+    question.destroy();
+    callback(Boolean(yes));
+  });
+}
+
+// Picks one of choices (labels) from a list; callback gets its index, or
+// null for Esc
+function askChoice(screen, text, choices, callback) {
+  const dialog = blessed.box({
+    parent: screen,
+    border: { type: 'line', fg: theme.borderFg, bg: theme.background },
+    width: '60%',
+    height: choices.length + 6,
+    top: 'center',
+    left: 'center',
+    padding: { left: 1, right: 1 },
+    style: { fg: theme.foreground, bg: theme.background },
+    label: ' Question ',
+    content: text
+  });
+  const list = blessed.list({
+    parent: dialog,
+    top: 3,
+    left: 0,
+    width: '100%-4',
+    height: choices.length,
+    keys: true,
+    vi: true,
+    mouse: true,
+    items: choices,
+    style: {
+      fg: theme.foreground,
+      bg: theme.background,
+      selected: {
+        bg: theme.selectedBg,
+        fg: theme.selectedFg
+      }
+    }
+  });
+  const answer = index => {
+    dialog.destroy();
+    callback(index);
+  };
+  list.on('select', (item, index) => answer(index));
+  list.key(['escape'], () => answer(null));
+  list.focus();
+  screen.render();
+}
@@ -0,0 +1,195 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+import { decryptData, encryptData, isVaultUnlocked } from './vault.js';
+
+// Attached files are copied into <notesDir>/.attachments/<sha256>, so the
+// same file attached to several notes (or twice) is stored once. Notes only
+// keep { name, hash, size, type, added_at } entries in externalFiles; a blob
+// is removed once no note, in the list or in the trash, refers to it.
+//
+// Attachments of encrypted notes are sealed with the vault key and marked
+// sealed: true. Their hash is that of the sealed data, so they are never
+// shared with a plain copy of the same file.
+
+const MIME_TYPES = {
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  html: 'text/html',
+  htm: 'text/html',
+  css: 'text/css',
+  js: 'text/javascript',
+  json: 'application/json',
+  xml: 'application/xml',
+  yaml: 'application/yaml',
+  yml: 'application/yaml',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+  tar: 'application/x-tar',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime'
+};
+
+function getAttachmentsDir(notesDir) {
+  return path.join(notesDir, '.attachments');
+}
+
+export function getAttachmentPath(notesDir, hash) {
+  return path.join(getAttachmentsDir(notesDir), hash);
+}
+
+export function getMimeType(fileName) {
+  const ext = path.extname(fileName).slice(1).toLowerCase();
+  return MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+// Writes data into the store unless identical content is already there.
+// Returns its hash.
+function storeBlob(notesDir, data) {
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+  const target = getAttachmentPath(notesDir, hash);
+  if (!fs.existsSync(target)) {
+    fs.mkdirSync(getAttachmentsDir(notesDir), { recursive: true });
+    // Written atomically so a crash never leaves a blob whose content does
+    // not match its hash
+    writeFileAtomic(target, data);
+  }
+  return hash;
+}
+
+// Copies a file into the store, sealed when seal is set. Returns the
+// attachment entry for it.
+export function storeAttachment(notesDir, filePath, name = path.basename(filePath), { seal = false } = {}) {
+  const stat = fs.statSync(filePath);
+  if (!stat.isFile()) {
+    throw new Error(`Not a file: ${filePath}`);
+  }
+  const data = fs.readFileSync(filePath);
+  return {
+    name,
+    hash: storeBlob(notesDir, seal ? encryptData(notesDir, data) : data),
+    size: data.length,
+    type: getMimeType(name),
+    added_at: new Date().toISOString(),
+    ...(seal && { sealed: true })
+  };
+}
+
+// Stores an attachment again sealed or plain, for a note being encrypted or
+// decrypted. Returns the new entry; the old blob is left to
+// removeUnreferenced().
+export function resealAttachment(notesDir, attachment, seal) {
+  if (Boolean(attachment.sealed) === seal) {
+    return attachment;
+  }
+  const data = readAttachment(notesDir, attachment);
+  const { sealed, ...entry } = attachment;
+  return {
+    ...entry,
+    hash: storeBlob(notesDir, seal ? encryptData(notesDir, data) : data),
+    ...(seal && { sealed: true })
+  };
+}
+
+// The content of an attachment, opened if it is sealed
+function readAttachment(notesDir, attachment) {
+  const source = getAttachmentPath(notesDir, attachment.hash);
+  if (!fs.existsSync(source)) {
+    throw new Error(`Attachment data is missing: ${attachment.name}`);
+  }
+  const data = fs.readFileSync(source);
+  if (!attachment.sealed) {
+    return data;
+  }
+  if (!isVaultUnlocked(notesDir)) {
+    throw new Error('Vault is locked');
+  }
+  try {
+    return decryptData(notesDir, data);
+  } catch {
+    throw new Error(`Cannot decrypt attachment ${attachment.name}, its data is damaged`);
+  }
+}
+
+// Deletes the blobs whose hash is not in referenced. Returns how many went.
+export function removeUnreferenced(notesDir, referenced) {
+  const dir = getAttachmentsDir(notesDir);
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+  let removed = 0;
+  for (const file of fs.readdirSync(dir)) {
+    if (!referenced.has(file)) {
+      fs.unlinkSync(path.join(dir, file));
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Copies an attachment out of the store. dest may be a directory, in which
+// case the attachment keeps its name. Returns the written path.
+export function exportAttachment(notesDir, attachment, dest) {
+  const data = readAttachment(notesDir, attachment);
+  let target = dest;
+  if (fs.existsSync(dest) && fs.statSync(dest).isDirectory()) {
+    target = path.join(dest, path.basename(attachment.name));
+  }
+  fs.writeFileSync(target, data);
+  return target;
+}
+
+// Opens a temp copy (blobs have no extension for the OS to go by) with the
+// program registered for the file type. Calls back with an error if the
+// opener cannot be started.
+export function openAttachment(notesDir, attachment, callback = () => {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taccuino-'));
+  const filePath = exportAttachment(notesDir, attachment, dir);
+  let command = 'xdg-open';
+  let args = [filePath];
+  if (os.platform() === 'darwin') {
+    command = 'open';
+  } else if (os.platform() === 'win32') {
+    command = 'cmd';
+    args = ['/c', 'start', '""', filePath];
+  }
+  const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+  child.on('error', error => callback(new Error(`Cannot open ${attachment.name}: ${error.message}`)));
+  child.on('spawn', () => callback(null));
+  child.unref();
+  return filePath;
+}
@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getNoteById, getTrashedNoteById, isVaultUnlocked, recordChange, saveNote, withNewId } from './notes.js';
+import { isNoteId, slugify } from './store.js';
+import { getNoteTags, normalizeTags } from './tags.js';
+
+export const EXPORT_FORMATS = ['json', 'markdown', 'html'];
+export const CONFLICT_ACTIONS = ['skip', 'overwrite', 'duplicate'];
+
+const EXTENSIONS = { json: 'json', markdown: 'md', html: 'html' };
+
+/******************************************************************************
+ * EXPORT
+ ******************************************************************************/
+
+// "<slug>-<id prefix>.<ext>": readable, and unique even for equal titles
+export function getExportFileName(note, format) {
+  return `${slugify(note.title)}-${note.id.slice(0, 8)}.${EXTENSIONS[format]}`;
+}
+
+function noteToMarkdown(note) {
+  const tags = getNoteTags(note);
+  const meta = [
+    `- Created: ${note.created_at}`,
+    `- Updated: ${note.updated_at}`
+  ];
+  if (tags.length > 0) {
+    meta.push(`- Tags: ${tags.map(tag => `#${tag}`).join(' ')}`);
+  }
+  return `# ${note.title}\n\n${meta.join('\n')}\n\n${note.content}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function noteToHtml(note) {
+  const tags = getNoteTags(note)
+    .map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`)
+    .join(' ');
+  return [
+    `<article id="note-${escapeHtml(note.id)}">`,
+    `  <h1>${escapeHtml(note.title)}</h1>`,
+    `  <p class="meta">Created ${escapeHtml(note.created_at)} &middot; Updated ${escapeHtml(note.updated_at)}${tags ? ` &middot; ${tags}` : ''}</p>`,
+    `  <pre class="content">${escapeHtml(note.content)}</pre>`,
+    '</article>'
+  ].join('\n');
+}
+
+function htmlDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  article { border-bottom: 1px solid #ddd; padding-bottom: 1rem; margin-bottom: 2rem; }
+  .meta { color: #777; font-size: 0.9rem; }
+  .tag { color: #07a; }
+  .content { white-space: pre-wrap; font-family: inherit; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// All notes as one document. The JSON format is the backup format read by
+// readBackup(): an array of complete note objects.
+export function formatExport(notes, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(notes, null, 2) + '\n';
+    case 'markdown':
+      return notes.map(noteToMarkdown).join('\n---\n\n');
+    case 'html':
+      return htmlDocument('Taccuino notes', notes.map(noteToHtml).join('\n'));
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// One file per note in outDir (plus an index.html for HTML). Returns the
+// paths written.
+export function writeSplitExport(notes, format, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+  const links = [];
+  for (const note of notes) {
+    const fileName = getExportFileName(note, format);
+    let data;
+    if (format === 'json') {
+      data = JSON.stringify(note, null, 2) + '\n';
+    } else if (format === 'markdown') {
+      data = noteToMarkdown(note);
+    } else if (format === 'html') {
+      data = htmlDocument(note.title, noteToHtml(note));
+      links.push(`  <li><a href="${encodeURIComponent(fileName)}">${escapeHtml(note.title)}</a></li>`);
+    } else {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    const filePath = path.join(outDir, fileName);
+    fs.writeFileSync(filePath, data);
+    written.push(filePath);
+  }
+  if (format === 'html') {
+    const indexPath = path.join(outDir, 'index.html');
+    fs.writeFileSync(indexPath, htmlDocument('Taccuino notes', `<h1>Taccuino notes</h1>\n<ul>\n${links.join('\n')}\n</ul>`));
+    written.push(indexPath);
+  }
+  return written;
+}
+
+/******************************************************************************
+ * IMPORT
+ ******************************************************************************/
+
+// Reads a JSON backup (an array of notes, or a single note object) and fills
+// in whatever older backups lack.
+export function readBackup(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read backup ${filePath}: ${error.message}`);
+  }
+  const entries = Array.isArray(data) ? data : [data];
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.title !== 'string') {
+      throw new Error(`Invalid note at position ${index + 1} in ${filePath}`);
+    }
+    const now = new Date().toISOString();
+    return {
+      ...entry,
+      // Ids end up in file names, so unusable ones are replaced
+      id: isNoteId(entry.id) ? entry.id : uuidv4(),
+      title: entry.title,
+      content: typeof entry.content === 'string' ? entry.content : '',
+      tags: normalizeTags(entry.tags),
+      created_at: entry.created_at || now,
+      updated_at: entry.updated_at || entry.created_at || now,
+      externalFiles: entry.externalFiles || []
+    };
+  });
+}
+
+// Splits backup entries into new notes and id collisions: with a note of the
+// store, live or in the trash, or with an earlier entry of the backup
+export function planImport(notes) {
+  const plan = { fresh: [], conflicts: [] };
+  const seen = new Set();
+  for (const note of notes) {
+    if (seen.has(note.id) || getNoteById(note.id) || getTrashedNoteById(note.id)) {
+      plan.conflicts.push(note);
+    } else {
+      plan.fresh.push(note);
+    }
+    seen.add(note.id);
+  }
+  return plan;
+}
+
+// Applies a plan. onConflict is one of CONFLICT_ACTIONS; "duplicate" keeps
+// both notes by giving the imported one a new id, which for notes exported
+// while locked takes the unlocked vault. New notes are saved first, so of
+// several entries with one id the first is kept or the last wins.
+// Returns the counts.
+export function applyImport(plan, onConflict) {
+  if (onConflict === 'duplicate' && plan.conflicts.some(note => note.locked) && !isVaultUnlocked()) {
+    throw new Error('Locked notes can only be imported as new notes with the vault unlocked, use --unlock');
+  }
+  const result = { imported: 0, overwritten: 0, duplicated: 0, skipped: 0 };
+  for (const note of plan.fresh) {
+    saveNote(note);
+    result.imported++;
+  }
+  for (const note of plan.conflicts) {
+    if (onConflict === 'overwrite') {
+      saveNote(note);
+      result.overwritten++;
+    } else if (onConflict === 'duplicate') {
+      saveNote(withNewId(note));
+      result.duplicated++;
+    } else {
+      result.skipped++;
+    }
+  }
+  const saved = result.imported + result.overwritten + result.duplicated;
+  if (saved > 0) {
+    recordChange(`Import ${saved} note(s)`);
+  }
+  return result;
+}
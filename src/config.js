@@ -0,0 +1,58 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+
+// Per-OS base directory for Taccuino's own files (config, notes, ...).
+// TACCUINO_CONFIG_DIR overrides it, which is handy for tests and portable setups.
+export function getConfigDir() {
+  if (process.env.TACCUINO_CONFIG_DIR) {
+    return path.resolve(expandHome(process.env.TACCUINO_CONFIG_DIR));
+  }
+  const platform = os.platform();
+  if (platform === 'win32') {
+    const baseDir = process.env.APPDATA || os.homedir();
+    return path.join(baseDir, 'Taccuino');
+  } else if (platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', 'Taccuino');
+  } else {
+    return path.join(os.homedir(), '.taccuino');
+  }
+}
+
+// Default notes directory, used when neither --dir, TACCUINO_DIR nor the
+// config file say otherwise. Kept outside the npm package so updates don't
+// lose notes.
+export function getNotesDir() {
+  return path.join(getConfigDir(), 'notes');
+}
+
+export function getConfigFilePath() {
+  return path.join(getConfigDir(), 'config.json');
+}
+
+export function loadConfig() {
+  const filePath = getConfigFilePath();
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+  }
+}
+
+export function saveConfig(updates) {
+  const config = { ...loadConfig(), ...updates };
+  fs.mkdirSync(getConfigDir(), { recursive: true });
+  writeFileAtomic(getConfigFilePath(), JSON.stringify(config, null, 2));
+  return config;
+}
+
+export function expandHome(p) {
+  if (p === '~' || p.startsWith('~/') || p.startsWith('~\\')) {
+    return path.join(os.homedir(), p.slice(1));
+  }
+  return p;
+}
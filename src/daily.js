@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './config.js';
+import { formatWhen } from './dates.js';
+import { fillTemplate, getDateValues } from './templates.js';
+
+// Daily notes: one note per day, titled with its date ("2025-03-14") and
+// carrying it in a "daily" field, so a renamed daily note is still that day's.
+// <configDir>/daily.md, if present, is the content of new daily notes: a
+// template (see src/templates.js) whose {{date}} is the day of the note.
+
+export const DAILY_TAG = 'daily';
+
+export function getDailySkeletonPath() {
+  return path.join(getConfigDir(), 'daily.md');
+}
+
+// "2025-03-14" in local time
+export function formatDay(date) {
+  return formatWhen(date).slice(0, 10);
+}
+
+// A local Date from "2025-03-14"
+export function parseDay(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text).trim());
+  const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (!date || date.getMonth() !== Number(match[2]) - 1) {
+    throw new Error(`Invalid date "${text}" (use YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// The day a note belongs to: its daily date, or the day it was created
+export function getNoteDay(note) {
+  return note.daily || formatDay(note.created_at);
+}
+
+// Map of "YYYY-MM-DD" -> notes of that day, daily note first
+export function groupNotesByDay(notes) {
+  const days = new Map();
+  for (const note of notes) {
+    const day = getNoteDay(note);
+    if (!days.has(day)) {
+      days.set(day, []);
+    }
+    days.get(day).push(note);
+  }
+  for (const dayNotes of days.values()) {
+    dayNotes.sort((a, b) => Boolean(b.daily) - Boolean(a.daily) || a.created_at.localeCompare(b.created_at));
+  }
+  return days;
+}
+
+export function buildDailyContent(day) {
+  const filePath = getDailySkeletonPath();
+  if (!fs.existsSync(filePath)) {
+    return '';
+  }
+  const { date, weekday } = getDateValues(parseDay(day));
+  return fillTemplate(fs.readFileSync(filePath, 'utf8'), { ...getDateValues(), date, weekday, title: day });
+}
@@ -0,0 +1,155 @@
+// Due dates and reminders. Notes may carry due_at and remind_at (ISO
+// strings); parseWhen() turns what people type into one:
+//
+//   +30min +2h +3d +1w      from now
+//   today tomorrow friday   that day (weekdays: the next one), at 09:00
+//   2025-03-14              a day, at 09:00
+//   ... 17:30, ... 5pm      any of the days above at a given time
+//   17:30                   today at that time
+//   2025-03-14T17:30:00Z    any ISO date-time
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const OFFSETS = { min: MINUTE, h: 60 * MINUTE, d: DAY, w: 7 * DAY };
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_HOUR = 9;
+
+// Notes due within this window are shown as upcoming
+export const UPCOMING_DAYS = 7;
+
+// Words that clear a due date or reminder
+export const CLEAR_WORDS = ['none', 'clear', '-'];
+
+// "17:30", "5pm", "5:30 pm"; a bare hour ("9") only after a day
+function parseTime(text, allowBareHour = false) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(text);
+  if (!match || (!match[2] && !match[3] && !allowBareHour)) {
+    return null;
+  }
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = (match[3] || '').toLowerCase();
+  if (meridiem === 'pm' && hours < 12) {
+    hours += 12;
+  } else if (meridiem === 'am' && hours === 12) {
+    hours = 0;
+  }
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return { hours, minutes };
+}
+
+function parseDay(text, now) {
+  const word = text.toLowerCase();
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (word === 'today') {
+    return day;
+  }
+  if (word === 'tomorrow') {
+    day.setDate(day.getDate() + 1);
+    return day;
+  }
+  const weekday = WEEKDAYS.findIndex(name => name === word || name.slice(0, 3) === word);
+  if (weekday >= 0) {
+    day.setDate(day.getDate() + ((weekday - day.getDay() + 7) % 7 || 7));
+    return day;
+  }
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (iso) {
+    const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    if (date.getMonth() === Number(iso[2]) - 1) {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Returns a Date, or null for an empty text or one of CLEAR_WORDS. Throws
+// when the text cannot be understood.
+export function parseWhen(text, now = new Date()) {
+  const input = String(text || '').trim();
+  if (!input || CLEAR_WORDS.includes(input.toLowerCase())) {
+    return null;
+  }
+
+  const offset = /^\+(\d+)\s*(min|h|d|w)$/i.exec(input);
+  if (offset) {
+    return new Date(now.getTime() + Number(offset[1]) * OFFSETS[offset[2].toLowerCase()]);
+  }
+
+  const time = parseTime(input);
+  if (time) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate(), time.hours, time.minutes);
+  }
+
+  const [dayText, ...rest] = input.split(/\s+/);
+  const day = parseDay(dayText, now);
+  if (day) {
+    const at = rest.length > 0 ? parseTime(rest.join(' '), true) : { hours: DEFAULT_HOUR, minutes: 0 };
+    if (at) {
+      day.setHours(at.hours, at.minutes);
+      return day;
+    }
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(input)) {
+    const date = new Date(input);
+    if (!Number.isNaN(date.getTime())) {
+      return date;
+    }
+  }
+
+  throw new Error(`Cannot understand the date "${input}" (try +3d, tomorrow 9:00 or 2025-03-14 17:30)`);
+}
+
+// "2025-03-14 09:00" in local time
+export function formatWhen(iso) {
+  const date = new Date(iso);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// 'overdue', 'upcoming' (due within UPCOMING_DAYS) or null
+export function getDueStatus(note, now = new Date()) {
+  if (!note.due_at) {
+    return null;
+  }
+  const due = new Date(note.due_at).getTime();
+  if (due < now.getTime()) {
+    return 'overdue';
+  }
+  return due - now.getTime() <= UPCOMING_DAYS * DAY ? 'upcoming' : null;
+}
+
+// A reminder is due once its time has passed, until it has been reported
+export function isReminderDue(note, now = new Date()) {
+  if (!note.remind_at) {
+    return false;
+  }
+  const remindAt = new Date(note.remind_at).getTime();
+  return remindAt <= now.getTime() &&
+    (!note.reminded_at || new Date(note.reminded_at).getTime() < remindAt);
+}
+
+// Notes with a due date split into agenda sections, each sorted by due date
+export function buildAgenda(notes, now = new Date()) {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const startOfTomorrow = startOfToday + DAY;
+  const endOfWeek = startOfToday + UPCOMING_DAYS * DAY;
+  const agenda = { overdue: [], today: [], week: [] };
+  notes
+    .filter(note => note.due_at)
+    .sort((a, b) => new Date(a.due_at) - new Date(b.due_at))
+    .forEach(note => {
+      const due = new Date(note.due_at).getTime();
+      if (due < now.getTime()) {
+        agenda.overdue.push(note);
+      } else if (due < startOfTomorrow) {
+        agenda.today.push(note);
+      } else if (due < endOfWeek) {
+        agenda.week.push(note);
+      }
+    });
+  return agenda;
+}
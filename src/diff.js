@@ -0,0 +1,91 @@
+// The LCS table takes 4 bytes per pair of changed lines; past this many pairs
+// the changed block is shown as removed, then added, instead
+const MAX_LCS_CELLS = 4 * 1024 * 1024;
+
+// Line diff based on the longest common subsequence of the lines between the
+// common prefix and suffix. Returns a list of { type, line } where type is
+// ' ' (unchanged), '-' (only in a) or '+' (only in b).
+export function diffLines(a, b) {
+  const oldAll = a.split('\n');
+  const newAll = b.split('\n');
+  let start = 0;
+  while (start < oldAll.length && start < newAll.length && oldAll[start] === newAll[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < oldAll.length - start && end < newAll.length - start &&
+    oldAll[oldAll.length - 1 - end] === newAll[newAll.length - 1 - end]) {
+    end++;
+  }
+  const oldLines = oldAll.slice(start, oldAll.length - end);
+  const newLines = newAll.slice(start, newAll.length - end);
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  const result = oldAll.slice(0, start).map(line => ({ type: ' ', line }));
+  const suffix = oldAll.slice(oldAll.length - end).map(line => ({ type: ' ', line }));
+  if (n * m > MAX_LCS_CELLS) {
+    oldLines.forEach(line => result.push({ type: '-', line }));
+    newLines.forEach(line => result.push({ type: '+', line }));
+    return result.concat(suffix);
+  }
+
+  // lcs[i][j] = length of the LCS of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: ' ', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: '-', line: oldLines[i++] });
+    } else {
+      result.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) {
+    result.push({ type: '-', line: oldLines[i++] });
+  }
+  while (j < m) {
+    result.push({ type: '+', line: newLines[j++] });
+  }
+  return result.concat(suffix);
+}
+
+// Both texts in one, with every run of lines that differs between conflict
+// markers: "<<<<<<< mineLabel", the lines of mine, "=======", the lines of
+// theirs, ">>>>>>> theirsLabel". Identical texts come back unchanged.
+export function markConflicts(mine, theirs, mineLabel = 'mine', theirsLabel = 'theirs') {
+  const merged = [];
+  let ours = [];
+  let other = [];
+  const flush = () => {
+    if (ours.length > 0 || other.length > 0) {
+      merged.push(`<<<<<<< ${mineLabel}`, ...ours, '=======', ...other, `>>>>>>> ${theirsLabel}`);
+      ours = [];
+      other = [];
+    }
+  };
+  for (const { type, line } of diffLines(theirs, mine)) {
+    if (type === '+') {
+      ours.push(line);
+    } else if (type === '-') {
+      other.push(line);
+    } else {
+      flush();
+      merged.push(line);
+    }
+  }
+  flush();
+  return merged.join('\n');
+}
@@ -0,0 +1,59 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { slugify } from './store.js';
+
+// $VISUAL wins over $EDITOR, as in git and most Unix tools. The value may
+// carry arguments ("code --wait"), so it is always run through the shell.
+export function getEditorCommand() {
+  return process.env.VISUAL || process.env.EDITOR || (os.platform() === 'win32' ? 'notepad' : 'vi');
+}
+
+export function getEditorShellCommand(filePath) {
+  return `${getEditorCommand()} "${filePath}"`;
+}
+
+// Writes the note content to a fresh temp file named after the note, so the
+// editor picks Markdown highlighting. The content gets a final newline that
+// readEditedContent() takes off again.
+//
+// The text of an encrypted note would sit on disk unencrypted while the
+// editor runs, so those need plaintext: true, once the user agreed to that.
+export function writeEditFile(note, { plaintext = false } = {}) {
+  if (note.encrypted && !plaintext) {
+    throw new Error('Encrypted notes are not opened in an external editor, it would write their text to disk unencrypted');
+  }
+  // A private directory (mkdtemp creates it 0700) and a private file
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taccuino-'));
+  const filePath = path.join(dir, `${slugify(note.title)}.md`);
+  fs.writeFileSync(filePath, `${note.content}\n`, { mode: 0o600 });
+  return filePath;
+}
+
+export function readEditedContent(filePath) {
+  return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+}
+
+export function removeEditFile(filePath) {
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+}
+
+// Blocking round trip for the CLI. Returns the new content, or null when the
+// note was left unchanged.
+export function editNoteContent(note) {
+  const filePath = writeEditFile(note);
+  try {
+    const result = spawnSync(getEditorShellCommand(filePath), { shell: true, stdio: 'inherit' });
+    if (result.error) {
+      throw result.error;
+    }
+    if (result.status !== 0) {
+      throw new Error(`Editor exited with code ${result.status}`);
+    }
+    const content = readEditedContent(filePath);
+    return content === note.content ? null : content;
+  } finally {
+    removeEditFile(filePath);
+  }
+}
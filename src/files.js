@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Safe writes for files that other Taccuino processes, or a sync tool, may be
+// touching at the same time.
+
+const LOCK_FILE = '.lock';
+// How long withLock() waits for another process; see setLockTimeout()
+let lockTimeoutMs = 5000;
+const LOCK_RETRY_MS = 25;
+// A lock file without a readable pid is left over from a crash once it is
+// older than this; a lock with one is held for as long as its process lives,
+// however long a sync or re-encrypting every note takes
+const LOCK_STALE_MS = 30 * 1000;
+
+// Writes to a temporary file next to the target and renames it over the
+// target, so readers see the old content or the new one, never half of it
+export function writeFileAtomic(filePath, data, options = {}) {
+  const tmpPath = path.join(path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    const fd = fs.openSync(tmpPath, 'w', options.mode);
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+// Held locks, by directory: the number of nested withLock() calls
+const heldLocks = new Map();
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Locks taken on another machine (a notes directory on a shared drive) are
+// never stale: their pid means nothing here
+function isStaleLock(lockPath) {
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+    } catch {
+      // Gone in the meantime: try again
+      return false;
+    }
+  }
+  return lock.host === os.hostname() && !isProcessAlive(lock.pid);
+}
+
+// Waiting blocks the whole thread, which is fine for a command but not for a
+// process that has to stay responsive: 0 fails at once
+export function setLockTimeout(ms) {
+  lockTimeoutMs = ms;
+}
+
+function acquireLock(lockPath) {
+  const deadline = Date.now() + lockTimeoutMs;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname() }), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    if (isStaleLock(lockPath)) {
+      fs.rmSync(lockPath, { force: true });
+    } else if (Date.now() >= deadline) {
+      const error = new Error(`Notes are being changed by another process (remove ${lockPath} if none is running)`);
+      error.code = 'ELOCKED';
+      throw error;
+    } else {
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+}
+
+// Runs fn while holding the lock of dir. Nested calls for the same dir share
+// the lock, so locked functions can call each other.
+export function withLock(dir, fn) {
+  const held = heldLocks.get(dir) || 0;
+  const lockPath = path.join(dir, LOCK_FILE);
+  if (held === 0) {
+    acquireLock(lockPath);
+  }
+  heldLocks.set(dir, held + 1);
+  try {
+    return fn();
+  } finally {
+    heldLocks.set(dir, held);
+    if (held === 0) {
+      heldLocks.delete(dir);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+}
@@ -0,0 +1,257 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+import { findNoteFile, getFreeFileName, parseNoteText } from './store.js';
+
+// Git mode: the notes directory is a git repository, every change is
+// committed and syncGit() pulls and pushes against the "origin" remote.
+// "taccuino git init" turns it on by setting taccuino.sync in the
+// repository's own config, so a notes directory that merely happens to be
+// inside a repository is left alone.
+//
+// A note changed on both sides of a pull is not left with conflict markers:
+// the local version stays in place and the other one is kept in
+// .git/taccuino-conflicts.json until it is resolved.
+
+const REMOTE = 'origin';
+
+// Local bookkeeping that is rebuilt on every machine, or only matters to it
+const GITIGNORE = ['.index.json', '.cache.json', '.lock', '.*.tmp', '.history/'];
+
+const enabledDirs = new Map();
+
+function run(notesDir, args) {
+  return spawnSync('git', args, { cwd: notesDir, encoding: 'utf8' });
+}
+
+function git(notesDir, args) {
+  const result = run(notesDir, args);
+  if (result.error) {
+    throw new Error(result.error.code === 'ENOENT' ? 'git is not installed' : result.error.message);
+  }
+  if (result.status !== 0) {
+    throw new Error(`git ${args[0]} failed: ${(result.stderr || result.stdout).trim()}`);
+  }
+  return result.stdout.trim();
+}
+
+// Commits need an author; machines without one configured commit as Taccuino
+function identityArgs(notesDir) {
+  if (run(notesDir, ['config', 'user.email']).status === 0) {
+    return [];
+  }
+  return ['-c', 'user.name=Taccuino', '-c', `user.email=taccuino@${os.hostname()}`];
+}
+
+function getConflictsFilePath(notesDir) {
+  return path.join(notesDir, '.git', 'taccuino-conflicts.json');
+}
+
+export function isGitEnabled(notesDir) {
+  if (!enabledDirs.has(notesDir)) {
+    enabledDirs.set(notesDir, fs.existsSync(path.join(notesDir, '.git')) &&
+      run(notesDir, ['config', '--bool', 'taccuino.sync']).stdout.trim() === 'true');
+  }
+  return enabledDirs.get(notesDir);
+}
+
+// Turns git mode on, committing the notes already there. remote is optional
+// and may be changed later by running init again.
+export function initGit(notesDir, remote) {
+  if (!fs.existsSync(path.join(notesDir, '.git'))) {
+    git(notesDir, ['init', '-q']);
+  }
+  git(notesDir, ['config', 'taccuino.sync', 'true']);
+  enabledDirs.set(notesDir, true);
+  if (remote) {
+    const hasRemote = run(notesDir, ['remote', 'get-url', REMOTE]).status === 0;
+    git(notesDir, ['remote', hasRemote ? 'set-url' : 'add', REMOTE, remote]);
+  }
+  commitAll(notesDir, 'Add existing notes');
+}
+
+// Adds the entries of GITIGNORE that .gitignore lacks, including ones that
+// came with a later version of Taccuino
+function updateGitignore(notesDir) {
+  const ignorePath = path.join(notesDir, '.gitignore');
+  const text = fs.existsSync(ignorePath) ? fs.readFileSync(ignorePath, 'utf8') : '';
+  const lines = text.split(/\r?\n/);
+  const missing = GITIGNORE.filter(entry => !lines.includes(entry));
+  if (missing.length > 0) {
+    fs.writeFileSync(ignorePath, `${text}${text && !text.endsWith('\n') ? '\n' : ''}${missing.join('\n')}\n`);
+  }
+}
+
+// Commits everything in the directory. Returns false when nothing changed.
+export function commitAll(notesDir, message) {
+  updateGitignore(notesDir);
+  git(notesDir, ['add', '-A']);
+  if (run(notesDir, ['diff', '--cached', '--quiet']).status === 0) {
+    return false;
+  }
+  git(notesDir, [...identityArgs(notesDir), 'commit', '-q', '-m', message]);
+  return true;
+}
+
+export function getRemote(notesDir) {
+  const result = run(notesDir, ['remote', 'get-url', REMOTE]);
+  return result.status === 0 ? result.stdout.trim() : null;
+}
+
+function getBranch(notesDir) {
+  return git(notesDir, ['symbolic-ref', '--short', 'HEAD']);
+}
+
+function hasRef(notesDir, ref) {
+  return run(notesDir, ['rev-parse', '--verify', '--quiet', ref]).status === 0;
+}
+
+function countCommits(notesDir, range) {
+  return Number(git(notesDir, ['rev-list', '--count', range]));
+}
+
+// Note files, live or trashed: "<id>.json", "<slug>.md", ".trash/<id>.json"...
+function isNotePath(file) {
+  return /^(\.trash\/)?[^./][^/]*\.(json|md)$/.test(file);
+}
+
+function parseStage(file, text) {
+  try {
+    return text === null ? null : parseNoteText(file, text);
+  } catch {
+    return undefined;
+  }
+}
+
+function readStage(notesDir, stage, file) {
+  const result = run(notesDir, ['show', `:${stage}:${file}`]);
+  return result.status === 0 ? result.stdout : null;
+}
+
+// Settles a merge that stopped on conflicts. Returns the notes changed on
+// both sides as { id, mine, theirs } (stored JSON).
+function settleConflicts(notesDir, merge) {
+  const files = git(notesDir, ['diff', '--name-only', '--diff-filter=U']).split('\n').filter(Boolean);
+  if (files.length === 0) {
+    throw new Error(`git merge failed: ${(merge.stderr || merge.stdout).trim()}`);
+  }
+  const stages = files.map(file => {
+    const mine = readStage(notesDir, 2, file);
+    const theirs = readStage(notesDir, 3, file);
+    return { file, mine, theirs, mineNote: parseStage(file, mine), theirsNote: parseStage(file, theirs) };
+  });
+  const unsupported = stages
+    .filter(stage => !isNotePath(stage.file) || stage.mineNote === undefined || stage.theirsNote === undefined)
+    .map(stage => stage.file);
+  if (unsupported.length > 0) {
+    git(notesDir, ['merge', '--abort']);
+    throw new Error(`Cannot merge ${unsupported.join(', ')}, resolve it with git in ${notesDir}`);
+  }
+  const conflicts = [];
+  // Notes an edit brought back, whose copy in the trash has to go
+  const restored = [];
+  for (const { file, mine, theirs, mineNote, theirsNote } of stages) {
+    if (mine === null && theirs === null) {
+      // Moved away on both sides, e.g. to the trash and to a new name
+      git(notesDir, ['rm', '-q', '--cached', '--', file]);
+      continue;
+    }
+    if (mineNote && theirsNote && mineNote.id !== theirsNote.id) {
+      // Two notes whose titles gave the same file name: the other one moves
+      const other = path.join(path.dirname(file), getFreeFileName(path.join(notesDir, path.dirname(file)), path.basename(file, '.md')));
+      writeFileAtomic(path.join(notesDir, other), theirs);
+      git(notesDir, ['add', '--', other]);
+    } else if (mineNote && theirsNote && file.startsWith('.trash/') && !mineNote.deleted_at !== !theirsNote.deleted_at) {
+      // Git followed the move to the trash and met the edit of the other side
+      // there: as below, the edit wins and the note leaves the trash
+      restoreEdited(notesDir, file, mineNote.deleted_at ? theirs : mine);
+      continue;
+    } else if (mineNote && theirsNote && !file.startsWith('.trash/')) {
+      conflicts.push({ id: mineNote.id, mine: mineNote, theirs: theirsNote });
+    } else if (!file.startsWith('.trash/')) {
+      restored.push((mineNote ?? theirsNote).id);
+    }
+    // Edited on one side and deleted on the other: the edit wins
+    writeFileAtomic(path.join(notesDir, file), mine ?? theirs);
+    git(notesDir, ['add', '--', file]);
+  }
+  restored.forEach(noteId => dropTrashedCopy(notesDir, noteId));
+  return conflicts;
+}
+
+// Puts the edited text of a note that is in the trash back among the notes,
+// under the name it has in the trash (or a free one for a Markdown file)
+function restoreEdited(notesDir, trashFile, text) {
+  let file = path.basename(trashFile);
+  if (fs.existsSync(path.join(notesDir, file))) {
+    file = getFreeFileName(notesDir, path.basename(file, '.md'));
+  }
+  writeFileAtomic(path.join(notesDir, file), text);
+  git(notesDir, ['add', '--', file]);
+  git(notesDir, ['rm', '-q', '-f', '--', trashFile]);
+}
+
+// A note deleted on one side went to the trash there. Once the edit of the
+// other side brings it back, that copy goes, so the id is only in one place.
+function dropTrashedCopy(notesDir, noteId) {
+  const file = findNoteFile(path.join(notesDir, '.trash'), noteId);
+  if (file) {
+    git(notesDir, ['rm', '-q', '-f', '--', `.trash/${file}`]);
+  }
+}
+
+// Commits pending changes, merges the remote branch and pushes. Returns
+// { pulled, pushed, conflicts } with the number of commits each way and the
+// notes left to resolve.
+export function syncGit(notesDir) {
+  if (!getRemote(notesDir)) {
+    throw new Error('No remote configured, run "taccuino git init --remote <url>"');
+  }
+  commitAll(notesDir, `Save changes on ${os.hostname()}`);
+  const branch = getBranch(notesDir);
+  const upstream = `${REMOTE}/${branch}`;
+  git(notesDir, ['fetch', '-q', REMOTE]);
+
+  let pulled = 0;
+  let conflicts = [];
+  if (hasRef(notesDir, upstream)) {
+    pulled = countCommits(notesDir, `HEAD..${upstream}`);
+    const message = `Merge notes from ${upstream}`;
+    const merge = run(notesDir, [...identityArgs(notesDir), 'merge', '-q', '--no-edit',
+      '--allow-unrelated-histories', '-m', message, upstream]);
+    if (merge.status !== 0) {
+      conflicts = settleConflicts(notesDir, merge);
+      git(notesDir, [...identityArgs(notesDir), 'commit', '-q', '--no-edit', '-m',
+        `${message} (${conflicts.length} note(s) to resolve)`]);
+    }
+  }
+
+  const pushed = hasRef(notesDir, upstream) ? countCommits(notesDir, `${upstream}..HEAD`) : countCommits(notesDir, 'HEAD');
+  if (pushed > 0) {
+    git(notesDir, ['push', '-q', '-u', REMOTE, branch]);
+  }
+  if (conflicts.length > 0) {
+    const pending = loadConflicts(notesDir).filter(entry => !conflicts.some(conflict => conflict.id === entry.id));
+    saveConflicts(notesDir, [...pending, ...conflicts]);
+  }
+  return { pulled, pushed, conflicts: loadConflicts(notesDir).length };
+}
+
+export function loadConflicts(notesDir) {
+  const filePath = getConflictsFilePath(notesDir);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+export function saveConflicts(notesDir, conflicts) {
+  const filePath = getConflictsFilePath(notesDir);
+  if (conflicts.length === 0) {
+    fs.rmSync(filePath, { force: true });
+  } else {
+    writeFileAtomic(filePath, JSON.stringify(conflicts, null, 2));
+  }
+}
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+import { isNoteId } from './store.js';
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+// Previous versions of a note live in <notesDir>/.history/<id>.json as an
+// array of revisions, oldest first. Revision numbers keep increasing even
+// after old revisions are dropped, so "rev 12" always means the same text.
+function getHistoryFilePath(notesDir, noteId) {
+  if (!isNoteId(noteId)) {
+    throw new Error(`Invalid note id: ${noteId}`);
+  }
+  return path.join(notesDir, '.history', `${noteId}.json`);
+}
+
+export function loadHistory(notesDir, noteId) {
+  const filePath = getHistoryFilePath(notesDir, noteId);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function saveHistory(notesDir, noteId, history) {
+  const filePath = getHistoryFilePath(notesDir, noteId);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileAtomic(filePath, JSON.stringify(history, null, 2));
+}
+
+// Stores the given note state (as written on disk, so encrypted notes keep
+// their content sealed) as a new revision and drops the oldest ones beyond
+// limit.
+export function appendRevision(notesDir, note, limit = DEFAULT_HISTORY_LIMIT) {
+  const history = loadHistory(notesDir, note.id);
+  const last = history[history.length - 1];
+  const revision = {
+    rev: last ? last.rev + 1 : 1,
+    title: note.title,
+    content: note.content,
+    tags: note.tags || [],
+    updated_at: note.updated_at
+  };
+  if (note.encrypted) {
+    revision.encrypted = true;
+    revision.cipher = note.cipher;
+  }
+  history.push(revision);
+  saveHistory(notesDir, note.id, history.slice(-Math.max(limit, 1)));
+}
+
+// Rewrites every revision of a note, e.g. to seal or unseal them when the
+// note is encrypted or decrypted.
+export function mapHistory(notesDir, noteId, fn) {
+  const history = loadHistory(notesDir, noteId);
+  if (history.length > 0) {
+    saveHistory(notesDir, noteId, history.map(fn));
+  }
+}
+
+export function deleteHistory(notesDir, noteId) {
+  const filePath = getHistoryFilePath(notesDir, noteId);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './config.js';
+
+// Key bindings of the full-screen UI. Bindings are grouped by the view they
+// work in ("list", "note", ...); "global" ones work everywhere and "move" ones
+// move through whatever list or text has the focus. Keys use Blessed's names:
+// 'q', 'S-t' (Shift+T), 'C-s' (Ctrl+S), 'M-v' (Alt+V), 'escape', 'enter'.
+//
+// <configDir>/keymap.json picks a preset and overrides single actions:
+//   { "preset": "emacs", "bindings": { "list.new": ["a"], "note.back": ["left"] } }
+//
+// bar: label of the action in the instruction bar, if it is shown there.
+
+const DEFAULT_KEYMAP = {
+  global: {
+    help: { keys: ['?'], help: 'Show the key bindings', bar: 'Help' },
+    quit: { keys: ['C-c'], help: 'Quit Taccuino' }
+  },
+  move: {
+    up: { keys: ['up', 'k'], help: 'Move up' },
+    down: { keys: ['down', 'j'], help: 'Move down' },
+    pageUp: { keys: ['pageup', 'C-u', 'C-b'], help: 'Page up' },
+    pageDown: { keys: ['pagedown', 'C-d', 'C-f'], help: 'Page down' },
+    first: { keys: ['home', 'g'], help: 'Go to the top' },
+    last: { keys: ['end', 'S-g'], help: 'Go to the bottom' }
+  },
+  list: {
+    open: { keys: ['enter'], help: 'Open the selected note', bar: 'Open' },
+    new: { keys: ['n'], help: 'Create a note, blank or from a template', bar: 'New' },
+    search: { keys: ['s'], help: 'Search notes', bar: 'Search' },
+    tags: { keys: ['t'], help: 'Filter the list by tag', bar: 'Tags' },
+    todo: { keys: ['o'], help: 'Open tasks of all notes', bar: 'Todo' },
+    calendar: { keys: ['a'], help: 'Calendar of the notes by day', bar: 'Calendar' },
+    today: { keys: ['S-d'], help: "Open today's daily note, creating it if needed" },
+    pin: { keys: ['p'], help: 'Pin or unpin the selected note' },
+    favourite: { keys: ['f'], help: 'Mark or unmark the selected note as a favourite' },
+    favourites: { keys: ['S-f'], help: 'Show only favourites, or all notes again' },
+    sort: { keys: ['S-s'], help: 'Cycle the sort order', bar: 'Sort' },
+    theme: { keys: ['c'], help: 'Switch to the next colour theme' },
+    delete: { keys: ['d'], help: 'Delete the selected note', bar: 'Delete' },
+    trash: { keys: ['S-t'], help: 'Open the trash' },
+    encrypt: { keys: ['x'], help: 'Encrypt or decrypt the selected note' },
+    lock: { keys: ['S-l'], help: 'Lock the vault' },
+    sync: { keys: ['S-y'], help: 'Sync the notes with the git remote' },
+    conflicts: { keys: ['S-c'], help: 'Resolve notes changed on two machines' },
+    quit: { keys: ['q'], help: 'Quit Taccuino', bar: 'Quit' }
+  },
+  note: {
+    back: { keys: ['escape', 'q', 'backspace'], help: 'Go back to the previous note or the list', bar: 'Back' },
+    edit: { keys: ['e'], help: 'Edit the note', bar: 'Edit' },
+    editor: { keys: ['S-e'], help: 'Edit the content in $VISUAL or $EDITOR' },
+    history: { keys: ['h'], help: 'Revision history', bar: 'History' },
+    raw: { keys: ['m'], help: 'Switch between rendered and raw Markdown', bar: 'Raw' },
+    attach: { keys: ['a'], help: 'Attach a file', bar: 'Attach' },
+    attachments: { keys: ['f'], help: 'Open, export or detach attachments', bar: 'Files' },
+    nextLink: { keys: ['tab'], help: 'Select the next link', bar: 'Links' },
+    previousLink: { keys: ['S-tab'], help: 'Select the previous link' },
+    follow: { keys: ['enter'], help: 'Open the selected link' },
+    nextTask: { keys: [']'], help: 'Select the next task' },
+    previousTask: { keys: ['['], help: 'Select the previous task' },
+    toggleTask: { keys: ['space'], help: 'Check or uncheck the selected task' }
+  },
+  todo: {
+    open: { keys: ['enter'], help: 'Open the note of the task', bar: 'Open note' },
+    toggle: { keys: ['space'], help: 'Check or uncheck the task', bar: 'Check' },
+    back: { keys: ['escape', 'q'], help: 'Back to the list', bar: 'Back' }
+  },
+  calendar: {
+    open: { keys: ['enter'], help: "Open the day's notes, or create its daily note", bar: 'Open' },
+    previousDay: { keys: ['left', 'h'], help: 'Previous day' },
+    nextDay: { keys: ['right', 'l'], help: 'Next day' },
+    previousWeek: { keys: ['up', 'k'], help: 'Same day last week' },
+    nextWeek: { keys: ['down', 'j'], help: 'Same day next week' },
+    previousMonth: { keys: ['pageup', '<'], help: 'Previous month', bar: 'Prev month' },
+    nextMonth: { keys: ['pagedown', '>'], help: 'Next month', bar: 'Next month' },
+    today: { keys: ['t'], help: 'Go to today', bar: 'Today' },
+    back: { keys: ['escape', 'q'], help: 'Back to the list', bar: 'Back' }
+  },
+  tags: {
+    select: { keys: ['enter'], help: 'Show the notes with the tag', bar: 'Filter' },
+    back: { keys: ['escape', 'q', 't'], help: 'Back to the list', bar: 'Back' }
+  },
+  attachments: {
+    open: { keys: ['enter', 'o'], help: 'Open with the default program', bar: 'Open' },
+    export: { keys: ['e'], help: 'Export a copy', bar: 'Export' },
+    detach: { keys: ['r'], help: 'Detach from the note', bar: 'Detach' },
+    back: { keys: ['escape', 'q'], help: 'Back to the note', bar: 'Back' }
+  },
+  history: {
+    open: { keys: ['enter'], help: 'Diff the revision against the current text', bar: 'Diff' },
+    back: { keys: ['escape', 'q'], help: 'Back to the note', bar: 'Back' }
+  },
+  diff: {
+    restore: { keys: ['r'], help: 'Restore this revision', bar: 'Restore' },
+    back: { keys: ['escape', 'q'], help: 'Back to the revisions', bar: 'Back' }
+  },
+  trash: {
+    restore: { keys: ['r', 'enter'], help: 'Restore the selected note', bar: 'Restore' },
+    purge: { keys: ['p'], help: 'Delete the selected note for good', bar: 'Purge' },
+    empty: { keys: ['S-e'], help: 'Empty the trash', bar: 'Empty' },
+    back: { keys: ['escape', 'q'], help: 'Back to the list', bar: 'Back' }
+  },
+  results: {
+    open: { keys: ['enter'], help: 'Open the selected note', bar: 'Open' },
+    delete: { keys: ['d'], help: 'Delete the selected note', bar: 'Delete' },
+    back: { keys: ['escape', 'q'], help: 'Back to the list', bar: 'Back' }
+  },
+  conflicts: {
+    resolve: { keys: ['enter'], help: 'Keep one version, both or merge them', bar: 'Resolve' },
+    back: { keys: ['escape', 'q'], help: 'Back to the list', bar: 'Back' }
+  },
+  form: {
+    cancel: { keys: ['escape'], help: 'Cancel', bar: 'Cancel' }
+  }
+};
+
+// Help overlay headings, in display order
+export const VIEW_TITLES = {
+  list: 'Note list',
+  note: 'Note view',
+  todo: 'Todo',
+  calendar: 'Calendar',
+  tags: 'Tag filter',
+  attachments: 'Attachments',
+  history: 'Revision history',
+  diff: 'Revision diff',
+  trash: 'Trash',
+  results: 'Search results',
+  conflicts: 'Sync conflicts',
+  form: 'Forms and prompts',
+  move: 'Moving around',
+  global: 'Everywhere'
+};
+
+const BACK_ACTIONS = ['note.back', 'todo.back', 'calendar.back', 'tags.back', 'attachments.back', 'history.back',
+  'diff.back', 'trash.back', 'results.back', 'conflicts.back', 'form.cancel'];
+
+// Changes to DEFAULT_KEYMAP, as "view.action": keys
+export const PRESETS = {
+  default: {},
+  // The default moves already follow vi (j/k, g/G, Ctrl+U/D/B/F)
+  vi: {
+    'list.search': ['s', '/'],
+    'list.new': ['n', 'i'],
+    'note.edit': ['e', 'i']
+  },
+  emacs: {
+    'move.up': ['up', 'C-p'],
+    'move.down': ['down', 'C-n'],
+    'move.pageUp': ['pageup', 'M-v'],
+    'move.pageDown': ['pagedown', 'C-v'],
+    'move.first': ['home', 'M-<'],
+    'move.last': ['end', 'M->'],
+    'calendar.previousDay': ['left', 'C-b'],
+    'calendar.nextDay': ['right', 'C-f'],
+    'calendar.previousWeek': ['up', 'C-p'],
+    'calendar.nextWeek': ['down', 'C-n'],
+    'list.search': ['s', 'C-s'],
+    ...Object.fromEntries(BACK_ACTIONS.map(name => [name, [...getBinding(DEFAULT_KEYMAP, name).keys, 'C-g']]))
+  }
+};
+
+function getBinding(keymap, name) {
+  const [view, action] = name.split('.');
+  return keymap[view] && keymap[view][action];
+}
+
+function applyBindings(keymap, bindings, source) {
+  for (const [name, keys] of Object.entries(bindings || {})) {
+    const binding = getBinding(keymap, name);
+    if (!binding) {
+      throw new Error(`Unknown action "${name}" in ${source}`);
+    }
+    binding.keys = Array.isArray(keys) ? keys : [keys];
+  }
+}
+
+export function getKeymapFilePath() {
+  return path.join(getConfigDir(), 'keymap.json');
+}
+
+export function loadKeymap() {
+  const filePath = getKeymapFilePath();
+  let config = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid keymap file ${filePath}: ${error.message}`);
+    }
+  }
+  const preset = config.preset || 'default';
+  if (!PRESETS[preset]) {
+    throw new Error(`Unknown keymap preset "${preset}" (use ${Object.keys(PRESETS).join(', ')})`);
+  }
+  const keymap = structuredClone(DEFAULT_KEYMAP);
+  applyBindings(keymap, PRESETS[preset], `the ${preset} preset`);
+  applyBindings(keymap, config.bindings, filePath);
+  return keymap;
+}
+
+// The action of a view bound to a key (Blessed's key.full), if any
+export function findAction(keymap, view, key) {
+  const actions = keymap[view] || {};
+  return Object.keys(actions).find(action => actions[action].keys.includes(key)) || null;
+}
+
+// 'S-t' -> 'T', 'C-s' -> 'Ctrl+S', 'escape' -> 'Esc'
+export function formatKey(key) {
+  const names = { escape: 'Esc', enter: 'Enter', space: 'Space', tab: 'Tab', backspace: 'Backspace',
+    up: 'Up', down: 'Down', pageup: 'PgUp', pagedown: 'PgDn', home: 'Home', end: 'End' };
+  return key.split(' ').map(part => {
+    if (names[part]) {
+      return names[part];
+    }
+    if (/^S-[a-z]$/.test(part)) {
+      return part.slice(2).toUpperCase();
+    }
+    return part
+      .replace(/^S-/, 'Shift+')
+      .replace(/^C-/, 'Ctrl+')
+      .replace(/^M-/, 'Alt+')
+      .replace(/(\+)([a-z])$/, (m, plus, letter) => plus + letter.toUpperCase())
+      .replace(/^Shift\+(\w+)$/, (m, name) => `Shift+${names[name] || name}`);
+  }).join(' ');
+}
+
+// "n: New | s: Search | ..." for the instruction bar of a view
+export function formatBar(keymap, view) {
+  return [...Object.values(keymap[view] || {}), keymap.global.help]
+    .filter(binding => binding.bar && binding.keys.length > 0)
+    .map(binding => `${formatKey(binding.keys[0])}: ${binding.bar}`)
+    .join(' | ');
+}
@@ -0,0 +1,42 @@
+// Wiki-style links between notes: [[Note Title]] or [[note id]] anywhere in
+// the content. Titles match case-insensitively; when several notes share a
+// title the most recently updated one wins.
+
+const LINK_RE = /\[\[([^[\]\n]+)\]\]/g;
+
+// Link targets in order of appearance. Code blocks and `code spans` are
+// skipped, as in the rendered note.
+export function extractLinks(text) {
+  const prose = [];
+  let fence = null;
+  for (const line of (text || '').split('\n')) {
+    const marker = /^\s*(```|~~~)/.exec(line);
+    if (marker && (!fence || marker[1] === fence)) {
+      fence = fence ? null : marker[1];
+    } else if (!fence) {
+      prose.push(line.replace(/`[^`]+`/g, ''));
+    }
+  }
+  return [...prose.join('\n').matchAll(LINK_RE)].map(match => match[1].trim()).filter(Boolean);
+}
+
+// Looks link targets up among notes, by id or by title, through maps built
+// once: resolve(target) -> note or null
+export function createLinkResolver(notes) {
+  const byId = new Map(notes.map(note => [note.id, note]));
+  const byTitle = new Map();
+  for (const note of notes) {
+    const title = note.title.trim().toLowerCase();
+    const known = byTitle.get(title);
+    if (!known || new Date(note.updated_at) > new Date(known.updated_at)) {
+      byTitle.set(title, note);
+    }
+  }
+  return target => byId.get(target) || byTitle.get(target.toLowerCase()) || null;
+}
+
+// Points the links whose target isRenamed(target) accepts at newTitle instead
+export function rewriteLinks(text, isRenamed, newTitle) {
+  return text.replace(LINK_RE, (match, target) =>
+    (isRenamed(target.trim()) ? `[[${newTitle}]]` : match));
+}
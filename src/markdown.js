@@ -0,0 +1,247 @@
+// Renders Markdown into Blessed tag markup for the note viewer. It covers the
+// subset notes actually use: headings, emphasis, inline code, links, wiki
+// [[links]], lists (including task lists), block quotes, tables, rules and
+// fenced code blocks with basic syntax highlighting.
+
+const KEYWORDS = {
+  js: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+    'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+    'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+    'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield', 'interface', 'type', 'enum'],
+  python: ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+    'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+    'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try', 'while', 'with', 'yield'],
+  sh: ['case', 'do', 'done', 'elif', 'else', 'esac', 'export', 'fi', 'for', 'function', 'if', 'in',
+    'local', 'return', 'then', 'until', 'while', 'echo', 'cd', 'set', 'unset'],
+  go: ['break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'false',
+    'for', 'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'nil', 'package', 'range', 'return',
+    'select', 'struct', 'switch', 'true', 'type', 'var'],
+  sql: ['select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create', 'table',
+    'drop', 'alter', 'join', 'left', 'right', 'inner', 'outer', 'on', 'group', 'by', 'order', 'having',
+    'limit', 'and', 'or', 'not', 'null', 'as', 'distinct', 'union']
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', mjs: 'js', cjs: 'js', java: 'js',
+  c: 'js', cpp: 'js', cs: 'js', rust: 'js', rs: 'js',
+  py: 'python', python3: 'python',
+  bash: 'sh', shell: 'sh', zsh: 'sh', console: 'sh',
+  golang: 'go'
+};
+
+// Languages whose line comments start with "#"
+const HASH_COMMENTS = ['python', 'sh', 'yaml', 'yml', 'toml', 'ruby', 'rb'];
+
+export function escapeTags(text) {
+  return text.replace(/[{}]/g, ch => (ch === '{' ? '{open}' : '{close}'));
+}
+
+/******************************************************************************
+ * INLINE
+ ******************************************************************************/
+
+// links, when given, collects the targets of [[wiki links]] in order; the one
+// at position selectedLink is drawn highlighted.
+export function renderInline(text, links = null, selectedLink = -1) {
+  // Code spans and links are swapped for placeholders first so that their
+  // contents are not touched by the emphasis rules.
+  const stash = [];
+  const keep = markup => `\u0000${stash.push(markup) - 1}\u0000`;
+
+  let out = text
+    .replace(/`([^`]+)`/g, (m, code) => keep(`{yellow-fg}${escapeTags(code)}{/yellow-fg}`))
+    .replace(/\[\[([^[\]\n]+)\]\]/g, (m, target) => {
+      const index = links ? links.push(target.trim()) - 1 : -1;
+      return keep(index >= 0 && index === selectedLink
+        ? `{inverse}{magenta-fg}[[${escapeTags(target)}]]{/magenta-fg}{/inverse}`
+        : `{magenta-fg}[[${escapeTags(target)}]]{/magenta-fg}`);
+    })
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (m, label, url) =>
+      keep(`{underline}{cyan-fg}${escapeTags(label || url)}{/cyan-fg}{/underline}{gray-fg} (${escapeTags(url)}){/gray-fg}`))
+    .replace(/<(https?:\/\/[^>\s]+)>/g, (m, url) => keep(`{underline}{cyan-fg}${escapeTags(url)}{/cyan-fg}{/underline}`));
+
+  out = escapeTags(out)
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '{bold}$2{/bold}')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?!\*)/g, '$1{underline}$2{/underline}')
+    .replace(/(^|[^\w_])_(?=\S)([^_]+?)(?<=\S)_(?![\w_])/g, '$1{underline}$2{/underline}')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '{gray-fg}$1{/gray-fg}');
+
+  return out.replace(/\u0000(\d+)\u0000/g, (m, i) => stash[Number(i)]);
+}
+
+/******************************************************************************
+ * CODE BLOCKS
+ ******************************************************************************/
+
+export function highlightCode(line, language) {
+  const lang = LANGUAGE_ALIASES[language] || language;
+  const keywords = new Set(KEYWORDS[lang] || []);
+  const caseInsensitive = lang === 'sql';
+  const comment = HASH_COMMENTS.includes(lang) ? '#.*' : lang === 'sql' ? '--.*' : '\\/\\/.*|\\/\\*.*?\\*\\/';
+  const tokenRe = new RegExp(`(${comment})|("(?:[^"\\\\]|\\\\.)*"?|'(?:[^'\\\\]|\\\\.)*'?|\`[^\`]*\`?)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`, 'g');
+
+  let out = '';
+  let last = 0;
+  for (const match of line.matchAll(tokenRe)) {
+    out += escapeTags(line.slice(last, match.index));
+    const [token, commentText, stringText, number, word] = match;
+    const escaped = escapeTags(token);
+    if (commentText) {
+      out += `{gray-fg}${escaped}{/gray-fg}`;
+    } else if (stringText) {
+      out += `{green-fg}${escaped}{/green-fg}`;
+    } else if (number) {
+      out += `{magenta-fg}${escaped}{/magenta-fg}`;
+    } else if (word && keywords.has(caseInsensitive ? word.toLowerCase() : word)) {
+      out += `{blue-fg}{bold}${escaped}{/bold}{/blue-fg}`;
+    } else {
+      out += escaped;
+    }
+    last = match.index + token.length;
+  }
+  return out + escapeTags(line.slice(last));
+}
+
+/******************************************************************************
+ * TABLES
+ ******************************************************************************/
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+function isTableDivider(line) {
+  return /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+}
+
+function renderTable(rows) {
+  const header = splitRow(rows[0]);
+  const body = rows.slice(2).map(splitRow);
+  const columns = header.length;
+  const widths = header.map((cell, i) =>
+    Math.max(cell.length, ...body.map(row => (row[i] || '').length)));
+  const pad = (cell, i) => cell + ' '.repeat(widths[i] - cell.length);
+  const line = (left, mid, right) =>
+    `{gray-fg}${left}${widths.map(w => '─'.repeat(w + 2)).join(mid)}${right}{/gray-fg}`;
+  const row = (cells, bold) => '{gray-fg}│{/gray-fg}' + Array.from({ length: columns }, (_, i) => {
+    const cell = escapeTags(pad(cells[i] || '', i));
+    return ` ${bold ? `{bold}${cell}{/bold}` : cell} {gray-fg}│{/gray-fg}`;
+  }).join('');
+
+  return [
+    line('┌', '┬', '┐'),
+    row(header, true),
+    line('├', '┼', '┤'),
+    ...body.map(cells => row(cells, false)),
+    line('└', '┴', '┘')
+  ];
+}
+
+/******************************************************************************
+ * BLOCKS
+ ******************************************************************************/
+
+export function renderMarkdown(text, options) {
+  return renderMarkdownWithLinks(text, options).markup;
+}
+
+// Also returns the [[link]] targets in reading order, so the viewer can step
+// through them (see renderInline). The task on source line selectedTaskLine,
+// if any, gets its checkbox highlighted.
+export function renderMarkdownWithLinks(text, { width = 80, selectedLink = -1, selectedTaskLine = -1 } = {}) {
+  const lines = (text || '').split('\n');
+  const out = [];
+  const links = [];
+  const inline = value => renderInline(value, links, selectedLink);
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fence = /^\s*(```|~~~)\s*([\w+#-]*)/.exec(line);
+    if (fence) {
+      const language = fence[2].toLowerCase();
+      out.push(`{gray-fg}┌─${language ? ` ${language} ` : ''}{/gray-fg}`);
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        out.push(`{gray-fg}│{/gray-fg} ${highlightCode(lines[i], language)}`);
+        i++;
+      }
+      out.push('{gray-fg}└─{/gray-fg}');
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && isTableDivider(lines[i + 1])) {
+      const rows = [];
+      while (i < lines.length && lines[i].includes('|')) {
+        rows.push(lines[i]);
+        i++;
+      }
+      out.push(...renderTable(rows));
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      const body = inline(heading[2]);
+      if (level === 1) {
+        out.push(`{bold}{cyan-fg}${body}{/cyan-fg}{/bold}`);
+        out.push(`{cyan-fg}${'='.repeat(Math.min(heading[2].length, width))}{/cyan-fg}`);
+      } else if (level === 2) {
+        out.push(`{bold}{cyan-fg}${body}{/cyan-fg}{/bold}`);
+        out.push(`{cyan-fg}${'─'.repeat(Math.min(heading[2].length, width))}{/cyan-fg}`);
+      } else {
+        out.push(`{bold}${body}{/bold}`);
+      }
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push(`{gray-fg}${'─'.repeat(width)}{/gray-fg}`);
+      i++;
+      continue;
+    }
+
+    const quote = /^\s*>\s?(.*)$/.exec(line);
+    if (quote) {
+      out.push(`{gray-fg}│{/gray-fg} {gray-fg}${inline(quote[1])}{/gray-fg}`);
+      i++;
+      continue;
+    }
+
+    const task = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/.exec(line);
+    if (task) {
+      const done = task[2] !== ' ';
+      const indent = ' '.repeat(task[1].length);
+      const box = i === selectedTaskLine ? `{inverse}[${done ? 'x' : ' '}]{/inverse}` : done ? '{green-fg}[x]{/green-fg}' : '[ ]';
+      out.push(done
+        ? `${indent}${box} {gray-fg}${inline(task[3])}{/gray-fg}`
+        : `${indent}${box} ${inline(task[3])}`);
+      i++;
+      continue;
+    }
+
+    const bullet = /^(\s*)[-*+]\s+(.*)$/.exec(line);
+    if (bullet) {
+      const depth = Math.floor(bullet[1].length / 2);
+      out.push(`${'  '.repeat(depth)}{yellow-fg}${depth % 2 === 0 ? '•' : '-'}{/yellow-fg} ${inline(bullet[2])}`);
+      i++;
+      continue;
+    }
+
+    const ordered = /^(\s*)(\d+)[.)]\s+(.*)$/.exec(line);
+    if (ordered) {
+      out.push(`${ordered[1]}{yellow-fg}${ordered[2]}.{/yellow-fg} ${inline(ordered[3])}`);
+      i++;
+      continue;
+    }
+
+    out.push(inline(line));
+    i++;
+  }
+
+  return { markup: out.join('\n'), links };
+}
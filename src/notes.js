@@ -1,93 +1,862 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import { removeUnreferenced, resealAttachment, storeAttachment } from './attachments.js';
+import { expandHome, getConfigDir, getNotesDir, loadConfig } from './config.js';
+import { withLock } from './files.js';
+import * as git from './git.js';
+import { appendRevision, DEFAULT_HISTORY_LIMIT, deleteHistory, loadHistory, mapHistory } from './history.js';
+import { buildDailyContent, DAILY_TAG } from './daily.js';
+import { isReminderDue } from './dates.js';
+import { createLinkResolver, rewriteLinks } from './links.js';
+import { indexNote, searchIndex, unindexNote } from './search.js';
+import * as store from './store.js';
+import { getNoteTags, noteHasTag, normalizeTags } from './tags.js';
+import { extractTasks, setTaskDone } from './tasks.js';
+import * as vault from './vault.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+let notesDirOverride = null;
+let resolvedNotesDir = null;
 
-const NOTES_DIR = path.join(__dirname, '..', 'notes');
+// Explicit directory (the --dir flag); takes precedence over everything else.
+export function setNotesDir(dir) {
+  notesDirOverride = dir ? path.resolve(expandHome(dir)) : null;
+  resolvedNotesDir = null;
+}
+
+// Resolution order: --dir, TACCUINO_DIR, "notesDir" in config.json (relative
+// paths are taken from the config directory), then the per-OS default.
+export function resolveNotesDir() {
+  if (notesDirOverride) {
+    return notesDirOverride;
+  }
+  if (!resolvedNotesDir) {
+    if (process.env.TACCUINO_DIR) {
+      resolvedNotesDir = path.resolve(expandHome(process.env.TACCUINO_DIR));
+    } else {
+      const config = loadConfig();
+      resolvedNotesDir = config.notesDir
+        ? path.resolve(getConfigDir(), expandHome(config.notesDir))
+        : getNotesDir();
+    }
+  }
+  return resolvedNotesDir;
+}
 
 function ensureNotesDir() {
-  if (!fs.existsSync(NOTES_DIR)) {
-    fs.mkdirSync(NOTES_DIR, { recursive: true });
+  const notesDir = resolveNotesDir();
+  if (!fs.existsSync(notesDir)) {
+    fs.mkdirSync(notesDir, { recursive: true });
   }
+  return notesDir;
 }
 
-function getNoteFilePath(noteId) {
-  return path.join(NOTES_DIR, `${noteId}.json`);
+// Every change to the notes directory runs under its lock, so two Taccuino
+// processes never read-modify-write the same file at once
+function locked(fn) {
+  return withLock(ensureNotesDir(), fn);
 }
 
-export function createNote(title, content) {
-  ensureNotesDir();
-  const note = {
-    id: uuidv4(),
-    title: title || 'Untitled',
-    content: content || '',
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-    externalFiles: []
-  };
-  fs.writeFileSync(getNoteFilePath(note.id), JSON.stringify(note, null, 2));
-  return note;
+// In git mode every change is committed with a message saying what it was.
+// Exported for changes made of several saveNote() calls, such as an import.
+export function recordChange(message) {
+  const notesDir = resolveNotesDir();
+  if (git.isGitEnabled(notesDir)) {
+    git.commitAll(notesDir, message);
+  }
 }
 
-export function getAllNotes() {
-  ensureNotesDir();
-  const files = fs.readdirSync(NOTES_DIR);
-  const notes = [];
-  files.forEach(file => {
-    if (file.endsWith('.json')) {
-      const filePath = path.join(NOTES_DIR, file);
-      notes.push(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+// New files follow the format of the notes directory, see src/store.js
+function getStoreFormat() {
+  return store.getStoreFormat(resolveNotesDir());
+}
+
+// A note keeps the format of the file it is in, so that a Markdown file
+// written by hand stays one; only migrateNotes() converts notes
+function getWriteFormat(dir, noteId) {
+  return store.getNoteFileFormat(dir, noteId) ?? getStoreFormat();
+}
+
+// Deleted notes are moved here (with a deleted_at timestamp) until they are
+// restored or purged. getAllNotes() only reads the top level, so they stay
+// out of the list and search.
+function getTrashDir() {
+  return path.join(resolveNotesDir(), '.trash');
+}
+
+// fields: optional extras such as due_at and remind_at
+export function createNote(title, content, tags = [], fields = {}) {
+  return locked(() => {
+    const notesDir = ensureNotesDir();
+    const note = {
+      id: uuidv4(),
+      title: title || 'Untitled',
+      content: content || '',
+      tags: normalizeTags(tags),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      externalFiles: [],
+      ...fields
+    };
+    if (vault.isEncryptAll(notesDir)) {
+      note.encrypted = true;
     }
+    writeStoredNote(toStored(note));
+    recordChange(`Create "${note.title}"`);
+    return toView(readStoredNote(note.id));
   });
+}
+
+// Files that can't be read or parsed are left out, see getUnreadableNoteFiles()
+export function getAllNotes() {
+  const notes = store.readNoteFiles(ensureNotesDir()).map(toView);
   notes.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
   return notes;
 }
 
+// The notes without their content (see store.summarizeNote()), newest first.
+// Unchanged files are not read again, so this stays quick on large notes
+// directories; getNoteById() loads a whole note.
+export function getNoteSummaries() {
+  const summaries = store.listNoteSummaries(ensureNotesDir()).map(toSummaryView);
+  summaries.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return summaries;
+}
+
+// [{ file, error }] for the files of the notes directory that are not
+// readable notes, with their full path
+export function getUnreadableNoteFiles() {
+  const notesDir = ensureNotesDir();
+  return store.listUnreadableFiles(notesDir).map(({ file, error }) => ({ file: path.join(notesDir, file), error }));
+}
+
 export function getNoteById(noteId) {
-  const filePath = getNoteFilePath(noteId);
-  if (fs.existsSync(filePath)) {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  }
-  return null;
+  const stored = readStoredNote(noteId);
+  return stored ? toView(stored) : null;
 }
 
-export function updateNote(noteId, updates) {
-  const note = getNoteById(noteId);
-  if (!note) {
-    throw new Error('Note not found');
+// expectedUpdatedAt: updated_at of the note as the caller read it; if the
+// note changed on disk since, nothing is written and a conflict is thrown
+export function updateNote(noteId, updates, { expectedUpdatedAt } = {}) {
+  return locked(() => {
+    const stored = readStoredNote(noteId);
+    if (!stored) {
+      throw new Error('Note not found');
+    }
+    if (expectedUpdatedAt && stored.updated_at !== expectedUpdatedAt) {
+      throw conflictError(toView(stored));
+    }
+    const note = toView(stored);
+    if (note.locked && updates.content !== undefined) {
+      throw new Error('Note is locked');
+    }
+    const previous = { ...note };
+    Object.assign(note, updates);
+    note.tags = normalizeTags(note.tags);
+    if (hasTextChanged(previous, note)) {
+      appendRevision(resolveNotesDir(), stored, getHistoryLimit());
+    }
+    note.updated_at = new Date().toISOString();
+    writeStoredNote(toStored(note));
+    recordChange(`Update "${note.title}"`);
+    return note;
+  });
+}
+
+// Writes a complete note as-is, keeping its id and timestamps (used by
+// import). The note it replaces, if any, is kept as a revision.
+export function saveNote(note) {
+  return locked(() => {
+    ensureNotesDir();
+    const saved = { ...note, tags: normalizeTags(note.tags) };
+    // A note of the trash with the same id is replaced like a live one, so an
+    // id is never in both places
+    const existing = readStoredNote(note.id) ?? getTrashedNoteById(note.id);
+    if (existing && hasTextChanged(toView(existing), saved)) {
+      appendRevision(resolveNotesDir(), existing, getHistoryLimit());
+    }
+    writeStoredNote(toStored(saved));
+    store.removeNoteFile(getTrashDir(), note.id);
+    return saved;
+  });
+}
+
+// error.note is the note as it is on disk now
+function conflictError(note) {
+  const error = new Error('The note was changed elsewhere since it was opened');
+  error.code = 'ECONFLICT';
+  error.note = note;
+  return error;
+}
+
+function hasTextChanged(a, b) {
+  return a.title !== b.title ||
+    a.content !== b.content ||
+    (a.tags || []).join(',') !== (b.tags || []).join(',');
+}
+
+// "historyLimit" in config.json bounds the revisions kept per note
+function getHistoryLimit() {
+  const limit = loadConfig().historyLimit;
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+// Revisions of a note, newest first
+export function getNoteHistory(noteId) {
+  return loadHistory(resolveNotesDir(), noteId).map(revision => toView({ ...revision, id: noteId })).reverse();
+}
+
+export function getNoteRevision(noteId, rev) {
+  const revision = loadHistory(resolveNotesDir(), noteId).find(entry => entry.rev === rev);
+  return revision ? toView({ ...revision, id: noteId }) : null;
+}
+
+// Brings back the text of an old revision. The current text is kept as a new
+// revision, so a restore can itself be undone.
+export function restoreNoteRevision(noteId, rev) {
+  const revision = getNoteRevision(noteId, rev);
+  if (!revision) {
+    throw new Error(`Revision ${rev} not found`);
   }
-  Object.assign(note, updates);
-  note.updated_at = new Date().toISOString();
-  fs.writeFileSync(getNoteFilePath(noteId), JSON.stringify(note, null, 2));
-  return note;
+  if (revision.locked) {
+    throw new Error('Note is locked');
+  }
+  return updateNote(noteId, {
+    title: revision.title,
+    content: revision.content,
+    tags: revision.tags
+  });
 }
 
+// Moves the note to the trash
 export function deleteNote(noteId) {
-  const filePath = getNoteFilePath(noteId);
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
+  return locked(() => {
+    const note = readStoredNote(noteId);
+    if (!note) {
+      return false;
+    }
+    note.deleted_at = new Date().toISOString();
+    fs.mkdirSync(getTrashDir(), { recursive: true });
+    store.writeNoteFile(getTrashDir(), note, getWriteFormat(resolveNotesDir(), noteId));
+    store.removeNoteFile(resolveNotesDir(), noteId);
+    unindexNote(getSearchStore(), noteId);
+    recordChange(`Delete "${note.title}"`);
     return true;
-  }
-  return false;
+  });
 }
 
 export function deleteAllNotes() {
-  ensureNotesDir();
-  const files = fs.readdirSync(NOTES_DIR);
-  files.forEach(file => {
-    if (file.endsWith('.json')) {
-      fs.unlinkSync(path.join(NOTES_DIR, file));
+  getAllNotes().forEach(note => deleteNote(note.id));
+}
+
+export function getTrashedNotes() {
+  const notes = store.readNoteFiles(getTrashDir());
+  notes.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+  return notes;
+}
+
+export function getTrashedNoteById(noteId) {
+  return store.readNoteFile(getTrashDir(), noteId);
+}
+
+export function restoreNote(noteId) {
+  return locked(() => {
+    const note = getTrashedNoteById(noteId);
+    if (!note) {
+      throw new Error('Note not found in trash');
+    }
+    if (store.findNoteFile(ensureNotesDir(), noteId)) {
+      throw new Error('A note with the same id already exists');
+    }
+    delete note.deleted_at;
+    const filePath = store.writeNoteFile(resolveNotesDir(), note, getWriteFormat(getTrashDir(), noteId));
+    store.removeNoteFile(getTrashDir(), noteId);
+    indexSavedNote(note, filePath);
+    recordChange(`Restore "${note.title}"`);
+    return note;
+  });
+}
+
+function removeTrashedNote(noteId) {
+  if (!store.removeNoteFile(getTrashDir(), noteId)) {
+    return false;
+  }
+  deleteHistory(resolveNotesDir(), noteId);
+  return true;
+}
+
+// Permanently removes a note from the trash, along with the attachments no
+// other note uses
+export function purgeNote(noteId) {
+  return locked(() => {
+    const note = getTrashedNoteById(noteId);
+    if (!removeTrashedNote(noteId)) {
+      return false;
+    }
+    cleanupAttachments();
+    recordChange(`Purge "${note.title}"`);
+    return true;
+  });
+}
+
+// Purges every trashed note, or only those deleted more than olderThanDays
+// days ago. Returns the purged notes.
+export function emptyTrash(olderThanDays) {
+  return locked(() => {
+    const cutoff = olderThanDays === undefined ? Infinity : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const purged = getTrashedNotes().filter(note => new Date(note.deleted_at).getTime() <= cutoff);
+    purged.forEach(note => removeTrashedNote(note.id));
+    if (purged.length > 0) {
+      cleanupAttachments();
+      recordChange(`Purge ${purged.length} note(s) from the trash`);
+    }
+    return purged;
+  });
+}
+
+// Copies a file into the attachment store (sealed if the note is encrypted)
+// and adds it to the note. An existing attachment with the same name is
+// replaced.
+export function attachFile(noteId, filePath, name = path.basename(filePath)) {
+  return locked(() => {
+    const note = getNoteById(noteId);
+    if (!note) {
+      throw new Error('Note not found');
+    }
+    const attachment = storeAttachment(ensureNotesDir(), filePath, path.basename(name), { seal: Boolean(note.encrypted) });
+    updateNote(noteId, {
+      externalFiles: (note.externalFiles || [])
+        .filter(file => file.name !== attachment.name)
+        .concat(attachment)
+    });
+    cleanupAttachments();
+    return attachment;
+  });
+}
+
+export function detachFile(noteId, name) {
+  return locked(() => {
+    const note = getNoteById(noteId);
+    if (!note) {
+      throw new Error('Note not found');
+    }
+    const attachment = getAttachment(note, name);
+    if (!attachment) {
+      throw new Error(`Attachment not found: ${name}`);
+    }
+    updateNote(noteId, { externalFiles: note.externalFiles.filter(file => file !== attachment) });
+    cleanupAttachments();
+    return attachment;
+  });
+}
+
+// Looks an attachment up by name or by its 1-based position
+export function getAttachment(note, nameOrIndex) {
+  const files = note.externalFiles || [];
+  const byName = files.find(file => file.name === nameOrIndex);
+  if (byName) {
+    return byName;
+  }
+  return /^\d+$/.test(String(nameOrIndex)) ? files[Number(nameOrIndex) - 1] || null : null;
+}
+
+// Drops stored attachments that neither a note nor a trashed note refers to
+function cleanupAttachments() {
+  // A note that can't be read may still use some of them
+  if ([ensureNotesDir(), getTrashDir()].some(dir => store.listUnreadableFiles(dir).length > 0)) {
+    return;
+  }
+  const referenced = new Set();
+  for (const note of [...store.readNoteFiles(ensureNotesDir()), ...getTrashedNotes()]) {
+    (note.externalFiles || []).forEach(file => referenced.add(file.hash));
+  }
+  removeUnreferenced(resolveNotesDir(), referenced);
+}
+
+// Auto-purge driven by "trashRetentionDays" in config.json; a no-op when unset.
+export function purgeExpiredTrash() {
+  const days = loadConfig().trashRetentionDays;
+  if (typeof days !== 'number' || days < 0) {
+    return [];
+  }
+  return emptyTrash(days);
+}
+
+export function getNotesByTag(tag) {
+  return getAllNotes().filter(note => noteHasTag(note, tag));
+}
+
+// Every tag in use, with the number of notes carrying it
+export function listTags() {
+  const counts = new Map();
+  getNoteSummaries().forEach(note => {
+    getNoteTags(note).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+// Checks (or unchecks) the task on a 0-based content line; toggles it when
+// done is omitted
+export function setNoteTaskDone(noteId, lineIndex, done) {
+  return locked(() => {
+    const note = getNoteById(noteId);
+    if (!note) {
+      throw new Error('Note not found');
+    }
+    if (note.locked) {
+      throw new Error('Note is locked');
+    }
+    return updateNote(noteId, { content: setTaskDone(note.content, lineIndex, done) });
+  });
+}
+
+// Pinning and favouriting are list bookkeeping: updated_at and the revision
+// history are left alone
+export function setNotePinned(noteId, pinned) {
+  return setNoteFlag(noteId, 'pinned', pinned);
+}
+
+export function setNoteFavourite(noteId, favourite) {
+  return setNoteFlag(noteId, 'favourite', favourite);
+}
+
+// Commit message verbs for setting and clearing each flag
+const FLAG_CHANGES = { pinned: ['Pin', 'Unpin'], favourite: ['Favourite', 'Unfavourite'] };
+
+function setNoteFlag(noteId, flag, value) {
+  return locked(() => {
+    const stored = readStoredNote(noteId);
+    if (!stored) {
+      throw new Error('Note not found');
+    }
+    writeStoredNote({ ...stored, [flag]: value });
+    const [set, unset] = FLAG_CHANGES[flag];
+    recordChange(`${value ? set : unset} "${stored.title}"`);
+    return toView(readStoredNote(noteId));
+  });
+}
+
+// Notes whose reminder time has passed and that have not been reported yet
+export function getDueReminders(now = new Date()) {
+  return getAllNotes().filter(note => isReminderDue(note, now));
+}
+
+// Records that a reminder went out. Bookkeeping only: updated_at and the
+// revision history are left alone.
+export function markReminded(noteId) {
+  return locked(() => {
+    const stored = readStoredNote(noteId);
+    if (stored) {
+      writeStoredNote({ ...stored, reminded_at: new Date().toISOString() });
+      recordChange(`Report the reminder of "${stored.title}"`);
     }
   });
 }
 
+// Unchecked tasks of every readable note, grouped as [{ note, tasks }]
+export function getOpenTasks() {
+  return getNoteSummaries()
+    .filter(summary => summary.openTasks > 0)
+    .map(summary => getNoteById(summary.id))
+    .filter(Boolean)
+    .map(note => ({ note, tasks: extractTasks(note.content).filter(task => !task.done) }));
+}
+
+// The daily note of day ("YYYY-MM-DD"), created from the skeleton if there
+// is none yet. Returns { note, created }.
+export function openDailyNote(day) {
+  return locked(() => {
+    const summary = getNoteSummaries().find(candidate => candidate.daily === day);
+    if (summary) {
+      return { note: getNoteById(summary.id), created: false };
+    }
+    return { note: createNote(day, buildDailyContent(day), [DAILY_TAG], { daily: day }), created: true };
+  });
+}
+
+// The note a [[link]] points to, or null
+export function findLinkedNote(target) {
+  const summary = createLinkResolver(getNoteSummaries())(target);
+  return summary && getNoteById(summary.id);
+}
+
+// Notes whose [[links]] point to the given note. The links come from the
+// summaries, so only those notes are read in full.
+export function getBacklinks(noteId) {
+  const summaries = getNoteSummaries();
+  const resolve = createLinkResolver(summaries);
+  return summaries
+    .filter(summary => summary.id !== noteId && summary.links.some(target => resolve(target)?.id === noteId))
+    .map(summary => getNoteById(summary.id))
+    .filter(Boolean);
+}
+
+// Whether a link target meant the note before its rename: a title link that
+// resolved to it among the notes as they were. before is the note as it was
+// before the rename.
+function linksToRenamed(before) {
+  const old = before.title.trim().toLowerCase();
+  const resolve = createLinkResolver(getNoteSummaries().map(summary => (summary.id === before.id
+    ? { ...summary, title: before.title, updated_at: before.updated_at }
+    : summary)));
+  return target => target.toLowerCase() === old && resolve(target)?.id === before.id;
+}
+
+// After a rename, points the [[old title]] links of other notes that led to
+// the note at newTitle. Links to another note with the same title are left
+// alone. Locked notes cannot be read, so they are counted as skipped.
+export function rewriteIncomingLinks(before, newTitle) {
+  return locked(() => {
+    const isRenamed = linksToRenamed(before);
+    const result = { updated: 0, skipped: 0 };
+    for (const summary of getNoteSummaries()) {
+      if (summary.id === before.id) {
+        continue;
+      }
+      if (summary.locked) {
+        result.skipped++;
+        continue;
+      }
+      if (!summary.links.some(isRenamed)) {
+        continue;
+      }
+      const note = getNoteById(summary.id);
+      const content = note && rewriteLinks(note.content, isRenamed, newTitle);
+      if (note && content !== note.content) {
+        updateNote(note.id, { content });
+        result.updated++;
+      }
+    }
+    return result;
+  });
+}
+
+// Notes linking to the renamed note by its old title, i.e. what
+// rewriteIncomingLinks() would change
+export function countTitleLinks(before) {
+  const isRenamed = linksToRenamed(before);
+  return getNoteSummaries().filter(summary => summary.id !== before.id &&
+    summary.links.some(isRenamed)).length;
+}
+
+// Ranked search over the persistent index, see src/search.js for the query
+// syntax. Encrypted notes are only searched while the vault is unlocked.
 export function searchNotes(query) {
-  const allNotes = getAllNotes();
-  return allNotes.filter(note =>
-    note.title.toLowerCase().includes(query.toLowerCase()) ||
-    note.content.toLowerCase().includes(query.toLowerCase())
-  );
+  const decrypted = isVaultUnlocked()
+    ? getNoteSummaries().filter(summary => summary.encrypted).map(summary => getNoteById(summary.id))
+    : [];
+  return searchIndex(getSearchStore(), query, decrypted)
+    .map(getNoteById)
+    .filter(Boolean);
+}
+
+// What the search index needs to know about the notes on disk
+function getSearchStore() {
+  const notesDir = ensureNotesDir();
+  return {
+    notesDir,
+    listEntries: () => store.listNoteFiles(notesDir).map(({ id, mtimeMs }) => ({ id, mtimeMs })),
+    readNote: noteId => {
+      try {
+        return readStoredNote(noteId);
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+function indexSavedNote(note, filePath) {
+  indexNote(getSearchStore(), note, fs.statSync(filePath).mtimeMs);
+}
+
+/******************************************************************************
+ * STORAGE FORMAT
+ *
+ * See src/store.js. Converting rewrites every note, live or trashed, and
+ * writes nothing unless all of them convert without losing anything.
+ ******************************************************************************/
+
+export function getNotesFormat() {
+  return getStoreFormat();
+}
+
+// Converting has to see every note, so it waits while some file can't be read
+function assertAllReadable(dirs) {
+  const unreadable = dirs.flatMap(dir => store.listUnreadableFiles(dir).map(({ file }) => path.join(dir, file)));
+  if (unreadable.length > 0) {
+    throw new Error(`Cannot read ${unreadable.join(', ')}, fix or remove it first`);
+  }
+}
+
+// Returns the number of notes converted: { notes, trashed }
+export function migrateNotes(format) {
+  if (!store.STORE_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (use ${store.STORE_FORMATS.join(' or ')})`);
+  }
+  return locked(() => {
+    const notesDir = resolveNotesDir();
+    const dirs = [notesDir, getTrashDir()];
+    assertAllReadable(dirs);
+    const notes = dirs.map(dir => store.readNoteFiles(dir));
+    const lossy = notes.flat().filter(note => !store.roundTrips(note, format));
+    if (lossy.length > 0) {
+      throw new Error(`Cannot convert ${lossy.map(note => `"${note.title}"`).join(', ')} to ${format} without changing them`);
+    }
+    dirs.forEach((dir, index) => notes[index].forEach(note => store.writeNoteFile(dir, note, format)));
+    store.setStoreFormat(notesDir, format);
+    recordChange(`Convert the notes to ${format}`);
+    return { notes: notes[0].length, trashed: notes[1].length };
+  });
+}
+
+/******************************************************************************
+ * GIT SYNC
+ *
+ * See src/git.js. Notes changed on both machines are kept here as the
+ * stored JSON of both versions until resolveSyncConflict() settles them.
+ ******************************************************************************/
+
+export function initGitSync(remote) {
+  return locked(() => git.initGit(resolveNotesDir(), remote));
+}
+
+export function isGitSync() {
+  return git.isGitEnabled(resolveNotesDir());
+}
+
+export function getGitRemote() {
+  return git.getRemote(resolveNotesDir());
+}
+
+export function syncNotes() {
+  if (!isGitSync()) {
+    throw new Error('Git sync is off, turn it on with "taccuino git init"');
+  }
+  return locked(() => git.syncGit(resolveNotesDir()));
+}
+
+export function countSyncConflicts() {
+  return git.loadConflicts(resolveNotesDir()).length;
+}
+
+// [{ id, mine, theirs }]: mine is the version in place, theirs the one from
+// the other machine
+export function getSyncConflicts() {
+  return git.loadConflicts(resolveNotesDir())
+    .map(({ id, mine, theirs }) => ({ id, mine: toView(mine), theirs: toView(theirs) }));
+}
+
+// keep: 'mine' leaves the note as it is (e.g. after merging both versions
+// into it), 'theirs' replaces it with the other version and 'both' adds the
+// other version as a new note
+export function resolveSyncConflict(noteId, keep) {
+  return locked(() => {
+    const notesDir = resolveNotesDir();
+    const conflicts = git.loadConflicts(notesDir);
+    const conflict = conflicts.find(entry => entry.id === noteId);
+    if (!conflict) {
+      throw new Error('No sync conflict for this note');
+    }
+    const { theirs } = conflict;
+    if (keep === 'theirs') {
+      writeStoredNote(theirs);
+      recordChange(`Take the other version of "${theirs.title}"`);
+    } else if (keep === 'both') {
+      writeStoredNote(toStored(withNewId({ ...toView(theirs), title: `${theirs.title} (other version)` })));
+      recordChange(`Keep both versions of "${theirs.title}"`);
+    } else if (keep !== 'mine') {
+      throw new Error(`Unknown choice "${keep}"`);
+    }
+    git.saveConflicts(notesDir, conflicts.filter(entry => entry !== conflict));
+  });
+}
+
+/******************************************************************************
+ * ENCRYPTION
+ *
+ * An encrypted note is stored with encrypted: true, an empty content and the
+ * sealed content in cipher; title and tags stay readable so locked notes can
+ * still be listed. Everything outside this module sees the decrypted content
+ * while the vault is unlocked, or locked: true and an empty content otherwise.
+ ******************************************************************************/
+
+function toView(stored) {
+  if (!stored.encrypted) {
+    return stored;
+  }
+  const notesDir = resolveNotesDir();
+  if (!vault.isVaultUnlocked(notesDir)) {
+    return { ...stored, content: '', locked: true };
+  }
+  const { cipher, ...rest } = stored;
+  return { ...rest, content: openSealed(notesDir, cipher, stored.id), locked: false };
+}
+
+// Encrypted notes are summarized from their decrypted content while the
+// vault is unlocked
+function toSummaryView(summary) {
+  if (!summary.encrypted) {
+    return summary;
+  }
+  if (!vault.isVaultUnlocked(resolveNotesDir())) {
+    return { ...summary, locked: true };
+  }
+  const stored = readStoredNote(summary.id);
+  return stored ? store.summarizeNote(toView(stored)) : { ...summary, locked: true };
+}
+
+function toStored(note) {
+  const { locked, ...stored } = note;
+  if (!stored.encrypted) {
+    delete stored.cipher;
+    return stored;
+  }
+  if (locked) {
+    // Nothing to re-seal: the cipher is carried over untouched
+    return { ...stored, content: '' };
+  }
+  return { ...stored, content: '', cipher: vault.encryptText(resolveNotesDir(), note.content, note.id) };
+}
+
+function openSealed(notesDir, cipher, noteId) {
+  try {
+    return vault.decryptText(notesDir, cipher, noteId);
+  } catch {
+    throw new Error(`Cannot decrypt note ${noteId}, its data is damaged`);
+  }
+}
+
+// The note under a new id. Sealed content is bound to the note id, so a
+// locked note is opened here to be sealed again under the new one.
+export function withNewId(note) {
+  if (!note.locked) {
+    return { ...note, id: uuidv4() };
+  }
+  const notesDir = resolveNotesDir();
+  if (!vault.isVaultUnlocked(notesDir)) {
+    throw new Error('Vault is locked');
+  }
+  const { cipher, locked, ...rest } = note;
+  return { ...rest, id: uuidv4(), content: openSealed(notesDir, cipher, note.id) };
+}
+
+function readStoredNote(noteId) {
+  return store.readNoteFile(resolveNotesDir(), noteId);
+}
+
+function writeStoredNote(stored) {
+  const notesDir = ensureNotesDir();
+  indexSavedNote(stored, store.writeNoteFile(notesDir, stored, getWriteFormat(notesDir, stored.id)));
+}
+
+export function hasVault() {
+  return vault.hasVault(resolveNotesDir());
+}
+
+export function initVault(passphrase) {
+  const result = vault.initVault(ensureNotesDir(), passphrase);
+  recordChange('Create the vault');
+  return result;
+}
+
+export function unlockVault(passphrase) {
+  vault.unlockVault(resolveNotesDir(), passphrase);
+}
+
+export function lockVault() {
+  vault.lockVault();
+}
+
+export function isVaultUnlocked() {
+  return vault.isVaultUnlocked(resolveNotesDir());
+}
+
+export function isEncryptAll() {
+  return vault.isEncryptAll(resolveNotesDir());
+}
+
+// Encrypts a note in place, together with its revision history and its
+// attachments. Requires an unlocked vault.
+export function encryptNote(noteId) {
+  return locked(() => {
+    const note = sealStoredNote(noteId);
+    cleanupAttachments();
+    recordChange(`Encrypt "${note.title}"`);
+    return note;
+  });
+}
+
+export function decryptNote(noteId) {
+  return locked(() => {
+    const note = unsealStoredNote(noteId);
+    cleanupAttachments();
+    recordChange(`Decrypt "${note.title}"`);
+    return note;
+  });
+}
+
+function sealStoredNote(noteId) {
+  const notesDir = resolveNotesDir();
+  const stored = readStoredNote(noteId);
+  if (!stored) {
+    throw new Error('Note not found');
+  }
+  const sealed = {
+    ...stored,
+    externalFiles: (stored.externalFiles || []).map(file => resealAttachment(notesDir, file, true))
+  };
+  if (!stored.encrypted) {
+    Object.assign(sealed, { encrypted: true, content: '', cipher: vault.encryptText(notesDir, stored.content, noteId) });
+  }
+  writeStoredNote(sealed);
+  mapHistory(notesDir, noteId, revision => (revision.encrypted ? revision : {
+    ...revision,
+    encrypted: true,
+    content: '',
+    cipher: vault.encryptText(notesDir, revision.content, noteId)
+  }));
+  return toView(readStoredNote(noteId));
+}
+
+function unsealStoredNote(noteId) {
+  const notesDir = resolveNotesDir();
+  const stored = readStoredNote(noteId);
+  if (!stored) {
+    throw new Error('Note not found');
+  }
+  const externalFiles = (stored.externalFiles || []).map(file => resealAttachment(notesDir, file, false));
+  if (stored.encrypted) {
+    const { cipher, encrypted, ...rest } = stored;
+    writeStoredNote({ ...rest, externalFiles, content: openSealed(notesDir, cipher, noteId) });
+  } else {
+    writeStoredNote({ ...stored, externalFiles });
+  }
+  mapHistory(notesDir, noteId, revision => {
+    if (!revision.encrypted) {
+      return revision;
+    }
+    const { cipher, encrypted, ...rest } = revision;
+    return { ...rest, content: openSealed(notesDir, cipher, noteId) };
+  });
+  return toView(readStoredNote(noteId));
+}
+
+// Encrypts (or decrypts) every note and makes new notes follow suit.
+// Returns the number of notes changed.
+export function setEncryptAll(value) {
+  return locked(() => {
+    const notesDir = resolveNotesDir();
+    if (!vault.isVaultUnlocked(notesDir)) {
+      throw new Error('Vault is locked');
+    }
+    const changed = getAllNotes().filter(note => Boolean(note.encrypted) !== value);
+    changed.forEach(note => (value ? sealStoredNote(note.id) : unsealStoredNote(note.id)));
+    vault.setEncryptAll(notesDir, value);
+    cleanupAttachments();
+    recordChange(value ? 'Encrypt all notes' : 'Decrypt all notes');
+    return changed.length;
+  });
 }
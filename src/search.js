@@ -0,0 +1,501 @@
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+import { getNoteTags } from './tags.js';
+
+// Persistent inverted index for searchNotes(), stored in <notesDir>/.index.json.
+//
+//   terms: { term: { noteId: [titleCount, contentCount] } }
+//   docs:  { noteId: { mtimeMs, created_at, updated_at, tags, terms } }
+//
+// It is updated on create/update/delete and re-synced against file mtimes
+// before each search, so notes edited outside Taccuino are picked up too.
+//
+// Encrypted notes only get a placeholder doc ({ encrypted: true }) so that
+// nothing of their text ends up on disk. They are left out of every search
+// unless the caller passes them in decrypted (see searchIndex()).
+
+const INDEX_VERSION = 1;
+const TITLE_WEIGHT = 3;
+const PREFIX_WEIGHT = 0.5;
+const DAY = 24 * 60 * 60 * 1000;
+const DURATIONS = { h: DAY / 24, d: DAY, w: 7 * DAY, m: 30 * DAY, y: 365 * DAY };
+const FIELDS = ['title', 'content', 'tag', 'created', 'updated'];
+
+let cached = null;
+
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function countTokens(text) {
+  const counts = new Map();
+  for (const token of tokenize(text)) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+function getIndexFilePath(notesDir) {
+  return path.join(notesDir, '.index.json');
+}
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, terms: {}, docs: {} };
+}
+
+function readIndex(notesDir) {
+  if (cached && cached.notesDir === notesDir) {
+    return cached.index;
+  }
+  let index = emptyIndex();
+  const filePath = getIndexFilePath(notesDir);
+  if (fs.existsSync(filePath)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (stored.version === INDEX_VERSION) {
+        index = stored;
+      }
+    } catch {
+      // A corrupt index is simply rebuilt
+    }
+  }
+  cached = { notesDir, index };
+  return index;
+}
+
+function writeIndex(notesDir, index) {
+  writeFileAtomic(getIndexFilePath(notesDir), JSON.stringify(index));
+}
+
+function removeDoc(index, noteId) {
+  const doc = index.docs[noteId];
+  if (!doc) {
+    return;
+  }
+  for (const term of doc.terms) {
+    const postings = index.terms[term];
+    if (postings) {
+      delete postings[noteId];
+      if (Object.keys(postings).length === 0) {
+        delete index.terms[term];
+      }
+    }
+  }
+  delete index.docs[noteId];
+}
+
+// Term counts per field, keyed by term
+function getPostings(note) {
+  const titleCounts = countTokens(note.title);
+  const contentCounts = countTokens(note.content);
+  const postings = new Map();
+  for (const term of new Set([...titleCounts.keys(), ...contentCounts.keys()])) {
+    postings.set(term, [titleCounts.get(term) || 0, contentCounts.get(term) || 0]);
+  }
+  return postings;
+}
+
+function addDoc(index, note, mtimeMs) {
+  removeDoc(index, note.id);
+  if (note.encrypted) {
+    index.docs[note.id] = { mtimeMs, encrypted: true, terms: [] };
+    return;
+  }
+  const postings = getPostings(note);
+  for (const [term, counts] of postings) {
+    index.terms[term] = index.terms[term] || {};
+    index.terms[term][note.id] = counts;
+  }
+  index.docs[note.id] = {
+    mtimeMs,
+    created_at: note.created_at,
+    updated_at: note.updated_at,
+    tags: getNoteTags(note),
+    terms: [...postings.keys()]
+  };
+}
+
+// A copy of the index with the given (decrypted) notes added, leaving the
+// persistent one untouched
+function withNotes(index, notes) {
+  if (notes.length === 0) {
+    return index;
+  }
+  const result = { version: index.version, terms: { ...index.terms }, docs: { ...index.docs } };
+  for (const note of notes) {
+    const postings = getPostings(note);
+    for (const [term, counts] of postings) {
+      result.terms[term] = { ...result.terms[term], [note.id]: counts };
+    }
+    result.docs[note.id] = {
+      created_at: note.created_at,
+      updated_at: note.updated_at,
+      tags: getNoteTags(note),
+      terms: [...postings.keys()]
+    };
+  }
+  return result;
+}
+
+// store: { notesDir, listEntries() -> [{ id, mtimeMs }], readNote(id) -> note or null }
+export function indexNote(store, note, mtimeMs) {
+  const index = readIndex(store.notesDir);
+  addDoc(index, note, mtimeMs);
+  writeIndex(store.notesDir, index);
+}
+
+export function unindexNote(store, noteId) {
+  const index = readIndex(store.notesDir);
+  if (index.docs[noteId]) {
+    removeDoc(index, noteId);
+    writeIndex(store.notesDir, index);
+  }
+}
+
+// Brings the index in line with the files on disk: new or modified notes
+// (by mtime) are re-read, vanished ones are dropped.
+function syncIndex(store) {
+  const index = readIndex(store.notesDir);
+  let changed = false;
+  const seen = new Set();
+  for (const { id, mtimeMs } of store.listEntries()) {
+    seen.add(id);
+    const doc = index.docs[id];
+    if (!doc || doc.mtimeMs !== mtimeMs) {
+      const note = store.readNote(id);
+      if (note) {
+        addDoc(index, note, mtimeMs);
+        changed = true;
+      }
+    }
+  }
+  for (const id of Object.keys(index.docs)) {
+    if (!seen.has(id)) {
+      removeDoc(index, id);
+      changed = true;
+    }
+  }
+  if (changed) {
+    writeIndex(store.notesDir, index);
+  }
+  return index;
+}
+
+/******************************************************************************
+ * QUERY LANGUAGE
+ *
+ *   deploy staging          both words (implicit AND), prefix match
+ *   "exact phrase"          words next to each other
+ *   a OR b, a AND NOT b     boolean operators (uppercase), NOT binds tightest
+ *   -word, (a OR b) c       negation shorthand and grouping
+ *   title:foo content:foo   restrict a word or "phrase" to one field
+ *   tag:foo                 notes carrying the tag
+ *   created:>2025-01-01     created/updated date filters with < <= > >= or
+ *   updated:<7d             a day; relative ages use h, d, w, m, y
+ ******************************************************************************/
+
+function queryError(message) {
+  const error = new Error(message);
+  error.code = 'EQUERY';
+  return error;
+}
+
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const ch = query[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch });
+      i++;
+    } else {
+      let negated = false;
+      if (ch === '-' && i + 1 < query.length && !/[\s()]/.test(query[i + 1])) {
+        negated = true;
+        i++;
+      }
+      let field = null;
+      const fieldMatch = /^([a-z]+):(?=\S)/i.exec(query.slice(i));
+      if (fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase())) {
+        field = fieldMatch[1].toLowerCase();
+        i += fieldMatch[0].length;
+      }
+      let value;
+      let quoted = false;
+      if (query[i] === '"') {
+        const end = query.indexOf('"', i + 1);
+        if (end === -1) {
+          throw queryError('Unterminated quote in query');
+        }
+        value = query.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else {
+        const start = i;
+        while (i < query.length && !/[\s()]/.test(query[i])) {
+          i++;
+        }
+        value = query.slice(start, i);
+      }
+      if (negated) {
+        tokens.push({ type: 'NOT' });
+      }
+      if (!quoted && !field && (value === 'AND' || value === 'OR' || value === 'NOT')) {
+        tokens.push({ type: value });
+      } else {
+        tokens.push({ type: 'word', field, value, quoted });
+      }
+    }
+  }
+  return tokens;
+}
+
+export function parseQuery(query) {
+  const tokens = lex(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        pos++;
+      }
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') {
+      pos++;
+      return { type: 'not', expr: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (!token) {
+      throw queryError('Unexpected end of query');
+    }
+    if (token.type === '(') {
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw queryError('Missing closing parenthesis in query');
+      }
+      pos++;
+      return node;
+    }
+    if (token.type !== 'word') {
+      throw queryError(`Unexpected ${token.type} in query`);
+    }
+    return toNode(token);
+  }
+
+  if (tokens.length === 0) {
+    return { type: 'all' };
+  }
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    throw queryError(`Unexpected ${tokens[pos].type} in query`);
+  }
+  return ast;
+}
+
+function toNode({ field, value, quoted }) {
+  if (field === 'tag') {
+    return { type: 'tag', value: value.replace(/^#/, '').toLowerCase() };
+  }
+  if (field === 'created' || field === 'updated') {
+    return { type: 'date', field: `${field}_at`, test: parseDateFilter(value) };
+  }
+  const words = tokenize(value);
+  if (words.length === 0) {
+    return { type: 'all' };
+  }
+  if (quoted && words.length > 1) {
+    return { type: 'phrase', field, words };
+  }
+  if (words.length > 1) {
+    // "foo-bar" or "v1.2" tokenize into several words: require all of them
+    return words
+      .map(word => ({ type: 'term', field, value: word }))
+      .reduce((left, right) => ({ type: 'and', left, right }));
+  }
+  return { type: 'term', field, value: words[0] };
+}
+
+function parseDateFilter(text) {
+  const match = /^(<=|>=|<|>|=)?(.+)$/.exec(text);
+  const op = match[1] || '=';
+  const value = match[2];
+
+  const relative = /^(\d+)([hdwmy])$/.exec(value);
+  if (relative) {
+    const threshold = Date.now() - Number(relative[1]) * DURATIONS[relative[2]];
+    // "<7d" means less than 7 days old
+    return op.startsWith('>') ? t => t < threshold : t => t >= threshold;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = Date.parse(`${value}T00:00:00`);
+    if (Number.isNaN(start)) {
+      throw queryError(`Invalid date in query: ${value}`);
+    }
+    const end = start + DAY;
+    switch (op) {
+      case '>': return t => t >= end;
+      case '>=': return t => t >= start;
+      case '<': return t => t < start;
+      case '<=': return t => t < end;
+      default: return t => t >= start && t < end;
+    }
+  }
+
+  const point = Date.parse(value);
+  if (Number.isNaN(point)) {
+    throw queryError(`Invalid date in query: ${value}`);
+  }
+  switch (op) {
+    case '>': return t => t > point;
+    case '>=': return t => t >= point;
+    case '<': return t => t < point;
+    case '<=': return t => t <= point;
+    default: return t => t === point;
+  }
+}
+
+/******************************************************************************
+ * EVALUATION & RANKING
+ ******************************************************************************/
+
+// Returns Map<noteId, score> for the notes matching node
+function evaluate(node, index, readNote) {
+  const docIds = Object.keys(index.docs).filter(id => !index.docs[id].encrypted);
+  const docCount = docIds.length;
+
+  switch (node.type) {
+    case 'all':
+      return new Map(docIds.map(id => [id, 0]));
+
+    case 'term':
+      return matchTerm(index, node.value, node.field, docCount);
+
+    case 'phrase': {
+      let candidates = null;
+      for (const word of node.words) {
+        const matches = matchTerm(index, word, node.field, docCount, true);
+        candidates = candidates ? intersect(candidates, matches) : matches;
+      }
+      const phrase = node.words.join(' ');
+      const result = new Map();
+      for (const [id, score] of candidates) {
+        const note = readNote(id);
+        if (!note) {
+          continue;
+        }
+        const inTitle = node.field !== 'content' && hasPhrase(note.title, phrase);
+        const inContent = node.field !== 'title' && hasPhrase(note.content, phrase);
+        if (inTitle || inContent) {
+          result.set(id, score * 2);
+        }
+      }
+      return result;
+    }
+
+    case 'tag':
+      return new Map(docIds
+        .filter(id => (index.docs[id].tags || []).includes(node.value))
+        .map(id => [id, 0]));
+
+    case 'date':
+      return new Map(docIds
+        .filter(id => node.test(new Date(index.docs[id][node.field]).getTime()))
+        .map(id => [id, 0]));
+
+    case 'and':
+      return intersect(evaluate(node.left, index, readNote), evaluate(node.right, index, readNote));
+
+    case 'or': {
+      const result = evaluate(node.left, index, readNote);
+      for (const [id, score] of evaluate(node.right, index, readNote)) {
+        result.set(id, (result.get(id) || 0) + score);
+      }
+      return result;
+    }
+
+    case 'not': {
+      const excluded = evaluate(node.expr, index, readNote);
+      return new Map(docIds.filter(id => !excluded.has(id)).map(id => [id, 0]));
+    }
+
+    default:
+      throw queryError(`Unknown query node ${node.type}`);
+  }
+}
+
+// Exact term matches score fully, terms that merely start with the word
+// score PREFIX_WEIGHT; title occurrences count TITLE_WEIGHT times.
+function matchTerm(index, word, field, docCount, exactOnly = false) {
+  const result = new Map();
+  const terms = exactOnly
+    ? (index.terms[word] ? [word] : [])
+    : Object.keys(index.terms).filter(term => term.startsWith(word));
+  for (const term of terms) {
+    const postings = index.terms[term];
+    const idf = Math.log(1 + docCount / Object.keys(postings).length);
+    const weight = term === word ? 1 : PREFIX_WEIGHT;
+    for (const [id, [titleCount, contentCount]] of Object.entries(postings)) {
+      const tf = (field === 'content' ? 0 : TITLE_WEIGHT * titleCount) +
+        (field === 'title' ? 0 : contentCount);
+      if (tf > 0) {
+        result.set(id, (result.get(id) || 0) + idf * weight * tf);
+      }
+    }
+  }
+  return result;
+}
+
+// Whether text holds the words of phrase one after the other, as whole words
+function hasPhrase(text, phrase) {
+  return ` ${tokenize(text).join(' ')} `.includes(` ${phrase} `);
+}
+
+function intersect(a, b) {
+  const result = new Map();
+  for (const [id, score] of a) {
+    if (b.has(id)) {
+      result.set(id, score + b.get(id));
+    }
+  }
+  return result;
+}
+
+// Returns the ids of matching notes, best match first (ties: most recently
+// updated). Encrypted notes are only searched when passed in as
+// decryptedNotes, which are indexed in memory for this search alone.
+export function searchIndex(store, query, decryptedNotes = []) {
+  const ast = parseQuery(query);
+  const index = withNotes(syncIndex(store), decryptedNotes);
+  const decrypted = new Map(decryptedNotes.map(note => [note.id, note]));
+  const readNote = id => decrypted.get(id) || store.readNote(id);
+  const scores = evaluate(ast, index, readNote);
+  return [...scores.entries()]
+    .sort(([idA, a], [idB, b]) =>
+      b - a || new Date(index.docs[idB].updated_at) - new Date(index.docs[idA].updated_at))
+    .map(([id]) => id);
+}
@@ -0,0 +1,392 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { getConfigDir } from './config.js';
+import { parseWhen } from './dates.js';
+import { setLockTimeout, writeFileAtomic } from './files.js';
+import {
+  createNote,
+  deleteNote,
+  getNoteById,
+  getNoteSummaries,
+  isEncryptAll,
+  isVaultUnlocked,
+  searchNotes,
+  updateNote
+} from './notes.js';
+import { getSortMode, isSortMode, sortNotes, SORT_MODES } from './sort.js';
+import { isNoteId } from './store.js';
+import { noteHasTag } from './tags.js';
+
+// Local HTTP JSON API, started by "taccuino serve", for editor plugins and
+// dashboards. It only listens on 127.0.0.1 and every request needs the token
+// kept in <configDir>/server-token, as "Authorization: Bearer <token>" or,
+// for EventSource clients that can't set headers, as ?token=<token>.
+//
+//   GET    /notes?tag=&sort=   the notes without their content
+//   GET    /notes/:id          a note (423 while it is encrypted and the vault
+//                              is locked)
+//   POST   /notes              { title, content, tags, due_at, remind_at }
+//   PATCH  /notes/:id          the fields to change; with updated_at, only if
+//                              the note is still at that version
+//   DELETE /notes/:id          moves the note to the trash
+//   GET    /search?q=          ranked search, same syntax as the CLI
+//   GET    /events             server-sent events: created, updated, deleted
+//
+// Notes are sent without the sealed data of encrypted notes. Errors are
+// { error } with the status: 400, 401, 404, 405, 409 (with the current note
+// as note), 413, 423 when the content of an encrypted note is asked for or
+// changed while the vault is locked, or 503 (with Retry-After) while another
+// process holds the lock of the notes directory: the server never waits for
+// it, as that would hold up every other request.
+
+export const SERVER_HOST = '127.0.0.1';
+export const DEFAULT_PORT = 4747;
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+// How often the event stream looks for changes while someone listens
+const POLL_MS = 1000;
+const NOTE_PATH = /^\/notes\/([^/]+)$/;
+
+export function getServerTokenPath() {
+  return path.join(getConfigDir(), 'server-token');
+}
+
+// The token clients must send, created on first use (or when renewing)
+export function loadServerToken({ renew = false } = {}) {
+  const filePath = getServerTokenPath();
+  if (!renew && fs.existsSync(filePath)) {
+    const token = fs.readFileSync(filePath, 'utf8').trim();
+    if (token) {
+      return token;
+    }
+  }
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(getConfigDir(), { recursive: true });
+  writeFileAtomic(filePath, `${token}\n`, { mode: 0o600 });
+  return token;
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(response, status, value, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  response.end(JSON.stringify(value));
+}
+
+function isAuthorized(request, url, token) {
+  const header = request.headers.authorization || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token') || '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// The JSON body of a request; an empty body is {}
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    request.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        return reject(httpError(413, `The body is larger than ${MAX_BODY_BYTES} bytes`));
+      }
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text.trim() ? JSON.parse(text) : {});
+      } catch {
+        reject(httpError(400, 'The body is not valid JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+// The note fields a request body sets, checked: title, content, tags,
+// due_at and remind_at (any form taccuino add --due takes, null clears them)
+function readNoteFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'The body must be a JSON object');
+  }
+  const fields = {};
+  for (const key of ['title', 'content']) {
+    if (body[key] !== undefined) {
+      if (typeof body[key] !== 'string') {
+        throw httpError(400, `${key} must be a string`);
+      }
+      fields[key] = key === 'title' ? body.title.trim() : body.content;
+    }
+  }
+  if (fields.title === '') {
+    throw httpError(400, 'title is required');
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || !body.tags.every(tag => typeof tag === 'string')) {
+      throw httpError(400, 'tags must be a list of strings');
+    }
+    fields.tags = body.tags;
+  }
+  for (const key of ['due_at', 'remind_at']) {
+    if (body[key] === undefined) {
+      continue;
+    }
+    if (body[key] !== null && typeof body[key] !== 'string') {
+      throw httpError(400, `${key} must be a date or null`);
+    }
+    try {
+      const date = body[key] === null ? null : parseWhen(body[key]);
+      fields[key] = date ? date.toISOString() : null;
+    } catch (error) {
+      throw httpError(400, `${key}: ${error.message}`);
+    }
+  }
+  return fields;
+}
+
+// A note as sent to clients: encrypted notes without their sealed data
+function toResponse(note) {
+  const { cipher, ...rest } = note;
+  return rest;
+}
+
+function findNote(id) {
+  const note = getNoteById(id);
+  if (!note) {
+    throw httpError(404, `Note not found: ${id}`);
+  }
+  return note;
+}
+
+function getNote(id) {
+  const note = findNote(id);
+  if (note.locked) {
+    throw httpError(423, `Note ${id} is encrypted and the vault is locked`);
+  }
+  return note;
+}
+
+function listNotes(params) {
+  const sort = params.get('sort') ?? getSortMode();
+  if (!isSortMode(sort)) {
+    throw httpError(400, `Unknown sort mode "${sort}" (use ${SORT_MODES.join(', ')})`);
+  }
+  const tag = params.get('tag');
+  const notes = getNoteSummaries().filter(note => !tag || noteHasTag(note, tag));
+  return sortNotes(notes, sort);
+}
+
+function addNote(body) {
+  const { title, content, tags, ...dates } = readNoteFields(body);
+  if (title === undefined) {
+    throw httpError(400, 'title is required');
+  }
+  if (isEncryptAll() && !isVaultUnlocked()) {
+    throw httpError(423, 'New notes are encrypted and the vault is locked');
+  }
+  return toResponse(createNote(title, content, tags, dates));
+}
+
+function editNote(id, body) {
+  const note = findNote(id);
+  const changes = readNoteFields(body);
+  if (Object.keys(changes).length === 0) {
+    throw httpError(400, 'Nothing to update, send title, content, tags, due_at or remind_at');
+  }
+  if (body.updated_at !== undefined && typeof body.updated_at !== 'string') {
+    throw httpError(400, 'updated_at must be a string');
+  }
+  if (note.locked && changes.content !== undefined) {
+    throw httpError(423, `Note ${id} is encrypted and the vault is locked`);
+  }
+  try {
+    return toResponse(updateNote(id, changes, { expectedUpdatedAt: body.updated_at }));
+  } catch (error) {
+    if (error.code === 'ECONFLICT') {
+      error.status = 409;
+      error.note = toResponse(error.note);
+    }
+    throw error;
+  }
+}
+
+function removeNote(id) {
+  const note = findNote(id);
+  deleteNote(id);
+  return toResponse(note);
+}
+
+function search(params) {
+  const query = (params.get('q') || '').trim();
+  if (!query) {
+    throw httpError(400, 'Missing query, pass it as ?q=');
+  }
+  try {
+    return searchNotes(query).map(toResponse);
+  } catch (error) {
+    if (error.code === 'EQUERY') {
+      error.status = 400;
+    }
+    throw error;
+  }
+}
+
+// The id in /notes/:id: encoded ids that don't decode or could name a file
+// outside the notes directory are refused
+function decodeNoteId(segment) {
+  let id = null;
+  try {
+    id = decodeURIComponent(segment);
+  } catch {
+    // Not valid percent-encoding
+  }
+  if (!isNoteId(id)) {
+    throw httpError(400, `Malformed note id: ${segment}`);
+  }
+  return id;
+}
+
+// [status, body] of a request to one of the JSON endpoints
+async function route(request, url) {
+  const { method } = request;
+  const match = NOTE_PATH.exec(url.pathname);
+  let handlers;
+  if (url.pathname === '/notes') {
+    handlers = {
+      GET: () => [200, listNotes(url.searchParams)],
+      POST: async () => [201, addNote(await readBody(request))]
+    };
+  } else if (match) {
+    const id = decodeNoteId(match[1]);
+    handlers = {
+      GET: () => [200, getNote(id)],
+      PATCH: async () => [200, editNote(id, await readBody(request))],
+      DELETE: () => [200, removeNote(id)]
+    };
+  } else if (url.pathname === '/search') {
+    handlers = { GET: () => [200, search(url.searchParams)] };
+  } else {
+    throw httpError(404, `No such endpoint: ${url.pathname}`);
+  }
+  if (!handlers[method]) {
+    throw httpError(405, `${method} is not supported on ${url.pathname}`);
+  }
+  return handlers[method]();
+}
+
+// Announces changes to the notes over server-sent events. The notes are
+// compared every POLL_MS while someone listens, so changes made by the CLI,
+// the full-screen UI or a git sync are announced as well as the API's own.
+function createChangeFeed() {
+  const clients = new Set();
+  let known = null;
+  let timer = null;
+
+  const snapshot = () => new Map(getNoteSummaries().map(note => [note.id, note]));
+
+  const send = (event, data) => {
+    for (const response of clients) {
+      response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const poll = () => {
+    let current;
+    try {
+      current = snapshot();
+    } catch {
+      // Being written by another process: next time
+      return;
+    }
+    for (const [id, note] of current) {
+      if (!known.has(id)) {
+        send('created', { id, title: note.title, updated_at: note.updated_at });
+      } else if (known.get(id).updated_at !== note.updated_at) {
+        send('updated', { id, title: note.title, updated_at: note.updated_at });
+      }
+    }
+    for (const id of known.keys()) {
+      if (!current.has(id)) {
+        send('deleted', { id });
+      }
+    }
+    known = current;
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    add(response) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      response.write(': connected\n\n');
+      if (clients.size === 0) {
+        known = snapshot();
+        timer = setInterval(poll, POLL_MS);
+      }
+      clients.add(response);
+      response.on('close', () => {
+        clients.delete(response);
+        if (clients.size === 0) {
+          stop();
+        }
+      });
+    }
+  };
+}
+
+export function createApiServer(token) {
+  const feed = createChangeFeed();
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${SERVER_HOST}`);
+    try {
+      if (!isAuthorized(request, url, token)) {
+        throw httpError(401, 'Missing or wrong token, see the server-token file of the config directory');
+      }
+      if (url.pathname === '/events') {
+        if (request.method !== 'GET') {
+          throw httpError(405, `${request.method} is not supported on /events`);
+        }
+        return feed.add(response);
+      }
+      const [status, body] = await route(request, url);
+      sendJson(response, status, body);
+    } catch (error) {
+      if (error.code === 'ELOCKED') {
+        return sendJson(response, 503, { error: error.message }, { 'Retry-After': '1' });
+      }
+      const status = error.status || 500;
+      sendJson(response, status, status === 409 ? { error: error.message, note: error.note } : { error: error.message });
+    }
+  });
+  return server;
+}
+
+// Resolves with the server once it listens on SERVER_HOST; port 0 picks a
+// free one
+export function startServer(port, token) {
+  setLockTimeout(0);
+  const server = createApiServer(token);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, SERVER_HOST, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,49 @@
+import { loadConfig, saveConfig } from './config.js';
+
+// Orders of the note list. Pinned notes always come first; each group is
+// sorted by the mode. The mode picked in the UI is kept as "sortBy" in
+// config.json.
+
+export const SORT_MODES = ['updated', 'created', 'title', 'size'];
+export const DEFAULT_SORT = 'created';
+
+// Locked notes are measured by their encrypted data; summaries carry a size
+function getNoteSize(note) {
+  if (note.size !== undefined) {
+    return note.size;
+  }
+  return note.locked ? note.cipher.data.length : Buffer.byteLength(note.content || '');
+}
+
+const COMPARATORS = {
+  updated: (a, b) => new Date(b.updated_at) - new Date(a.updated_at),
+  created: (a, b) => new Date(b.created_at) - new Date(a.created_at),
+  title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }),
+  size: (a, b) => getNoteSize(b) - getNoteSize(a)
+};
+
+export function isSortMode(mode) {
+  return SORT_MODES.includes(mode);
+}
+
+export function sortNotes(notes, mode = DEFAULT_SORT) {
+  const compare = COMPARATORS[mode] || COMPARATORS[DEFAULT_SORT];
+  return [...notes].sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || compare(a, b));
+}
+
+export function getSortMode() {
+  const { sortBy } = loadConfig();
+  return isSortMode(sortBy) ? sortBy : DEFAULT_SORT;
+}
+
+export function setSortMode(mode) {
+  if (!isSortMode(mode)) {
+    throw new Error(`Unknown sort mode "${mode}" (use ${SORT_MODES.join(', ')})`);
+  }
+  saveConfig({ sortBy: mode });
+}
+
+// The mode after the given one, for cycling through them with a key
+export function nextSortMode(mode) {
+  return SORT_MODES[(SORT_MODES.indexOf(mode) + 1) % SORT_MODES.length];
+}
@@ -0,0 +1,383 @@
+import fs from 'fs';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import YAML from 'yaml';
+import { writeFileAtomic } from './files.js';
+import { extractLinks } from './links.js';
+import { extractHashtags } from './tags.js';
+import { extractTasks } from './tasks.js';
+
+// Note files. A notes directory stores each note in one of two formats:
+//
+//   json      <id>.json, the note as pretty-printed JSON
+//   markdown  <slug of the title>.md, the fields in YAML front matter and the
+//             content as the body
+//
+// <notesDir>/.store.json says which one new files are written in ("json" if
+// missing); files of both formats are always read. Markdown files written by
+// hand don't need any front matter: a missing id is the file name, a missing
+// title the first heading and missing dates the file's modification time.
+//
+// What listing the notes needs is kept per file in <dir>/.cache.json:
+//
+//   files: { file: { mtimeMs, summary } }  or { mtimeMs, error } if unreadable
+//
+// A summary is the note without its content (see summarizeNote()); a file is
+// only read again once its modification time changes. Unreadable files are
+// left out of every listing and reported by listUnreadableFiles().
+
+export const STORE_FORMATS = ['json', 'markdown'];
+
+// Note ids end up in file names (<id>.json, .history/<id>.json), so they
+// can't hold a path separator or start with a dot. Anything else goes, as
+// hand-written Markdown files get their name as id.
+const NOTE_ID_RE = /^[^./\\\0][^/\\\0]*$/;
+
+const FRONT_MATTER = /^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+const CACHE_VERSION = 2;
+
+// Files of each directory read so far: file -> { mtimeMs, id, summary } or
+// { mtimeMs, error }, id -> file
+const listings = new Map();
+
+function getStoreFilePath(notesDir) {
+  return path.join(notesDir, '.store.json');
+}
+
+export function getStoreFormat(notesDir) {
+  const filePath = getStoreFilePath(notesDir);
+  if (!fs.existsSync(filePath)) {
+    return 'json';
+  }
+  const { format } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return STORE_FORMATS.includes(format) ? format : 'json';
+}
+
+export function setStoreFormat(notesDir, format) {
+  writeFileAtomic(getStoreFilePath(notesDir), JSON.stringify({ format }, null, 2));
+}
+
+export function isNoteId(id) {
+  return typeof id === 'string' && NOTE_ID_RE.test(id);
+}
+
+// Dotfiles (.index.json, ...) hold Taccuino's own bookkeeping, not notes
+export function isNoteFileName(file) {
+  return !file.startsWith('.') && (file.endsWith('.json') || file.endsWith('.md'));
+}
+
+// "Meeting notes: Q3" -> "meeting-notes-q3", for every file named after a
+// note: Markdown notes, exports and the files of the external editor
+export function slugify(title) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .slice(0, 60)
+    .replace(/^-+|-+$/g, '');
+  return slug || 'note';
+}
+
+function serializeMarkdown(stored) {
+  const { content, ...fields } = stored;
+  return `---\n${YAML.stringify(fields, { lineWidth: 0 })}---\n\n${content || ''}\n`;
+}
+
+function parseTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.map(String);
+  }
+  return typeof tags === 'string' ? tags.split(/[,\s]+/).filter(Boolean) : [];
+}
+
+function parseMarkdown(file, text, mtimeMs) {
+  const match = FRONT_MATTER.exec(text);
+  let fields = {};
+  if (match) {
+    try {
+      fields = YAML.parse(match[1] || '') || {};
+    } catch (error) {
+      throw new Error(`Invalid front matter in ${file}: ${error.message}`);
+    }
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error(`Invalid front matter in ${file}: not a list of fields`);
+    }
+  }
+  // One blank line after the front matter and one newline at the end are
+  // part of the format, not of the content
+  const content = (match ? text.slice(match[0].length).replace(/^\r?\n/, '') : text).replace(/\r?\n$/, '');
+  const modified = new Date(mtimeMs ?? Date.now()).toISOString();
+  const heading = /^#\s+(.+)$/m.exec(content);
+  const { id, title, tags, created_at: createdAt, updated_at: updatedAt, ...rest } = fields;
+  return {
+    id: isNoteId(String(id ?? '')) ? String(id) : path.basename(file, '.md'),
+    title: String(title ?? (heading ? heading[1].trim() : path.basename(file, '.md'))),
+    content,
+    tags: parseTags(tags),
+    created_at: createdAt ?? modified,
+    updated_at: updatedAt ?? modified,
+    ...rest
+  };
+}
+
+// The stored note in a file's text; mtimeMs, when given, fills in missing
+// dates of Markdown files
+export function parseNoteText(file, text, mtimeMs) {
+  return file.endsWith('.md') ? parseMarkdown(file, text, mtimeMs) : JSON.parse(text);
+}
+
+export function serializeNote(stored, format) {
+  return format === 'markdown' ? serializeMarkdown(stored) : JSON.stringify(stored, null, 2);
+}
+
+// Whether a note comes back unchanged from a file of the format
+export function roundTrips(stored, format) {
+  const file = format === 'markdown' ? 'note.md' : 'note.json';
+  return isDeepStrictEqual(parseNoteText(file, serializeNote(stored, format)), stored);
+}
+
+// The note without content and cipher, plus what lists and lookups need of
+// them: hashtags, [[link]] targets, the number of open tasks and the size in
+// bytes (of the sealed data for encrypted notes)
+export function summarizeNote(note) {
+  const { content, cipher, ...summary } = note;
+  return {
+    ...summary,
+    hashtags: cipher ? [] : extractHashtags(content),
+    links: cipher ? [] : extractLinks(content),
+    openTasks: cipher ? 0 : extractTasks(content).filter(task => !task.done).length,
+    size: cipher ? cipher.data.length : Buffer.byteLength(content || '')
+  };
+}
+
+function getCacheFilePath(dir) {
+  return path.join(dir, '.cache.json');
+}
+
+function loadCache(dir, listing) {
+  const filePath = getCacheFilePath(dir);
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+  try {
+    const cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (cache.version !== CACHE_VERSION) {
+      return;
+    }
+    for (const [file, entry] of Object.entries(cache.files)) {
+      listing.files.set(file, entry.summary ? { ...entry, id: entry.summary.id } : entry);
+      if (entry.summary) {
+        listing.ids.set(entry.summary.id, file);
+      }
+    }
+  } catch {
+    // A corrupt cache is simply rebuilt
+  }
+}
+
+function saveCache(dir, listing) {
+  const files = {};
+  for (const [file, { mtimeMs, summary, error }] of listing.files) {
+    files[file] = summary ? { mtimeMs, summary } : { mtimeMs, error };
+  }
+  try {
+    writeFileAtomic(getCacheFilePath(dir), JSON.stringify({ version: CACHE_VERSION, files }));
+    listing.changed = false;
+  } catch {
+    // Read-only notes are listed all the same, just without a cache
+  }
+}
+
+function getListing(dir) {
+  if (!listings.has(dir)) {
+    const listing = { files: new Map(), ids: new Map(), changed: false };
+    loadCache(dir, listing);
+    listings.set(dir, listing);
+  }
+  return listings.get(dir);
+}
+
+function remember(dir, file, entry) {
+  const listing = getListing(dir);
+  forget(dir, file);
+  listing.files.set(file, entry);
+  if (entry.id !== undefined) {
+    listing.ids.set(entry.id, file);
+  }
+  listing.changed = true;
+  return { file, ...entry };
+}
+
+// { file, mtimeMs, id, summary }, { file, mtimeMs, error } if the file can't
+// be read or parsed, or null if it is gone
+function readEntry(dir, file) {
+  const filePath = path.join(dir, file);
+  const listing = getListing(dir);
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+  const known = listing.files.get(file);
+  if (known && known.mtimeMs === mtimeMs) {
+    return { file, ...known };
+  }
+  let summary;
+  try {
+    summary = summarizeNote(parseNoteText(file, fs.readFileSync(filePath, 'utf8'), mtimeMs));
+  } catch (error) {
+    return remember(dir, file, { mtimeMs, error: error.message });
+  }
+  return remember(dir, file, { mtimeMs, id: summary.id, summary });
+}
+
+function listEntries(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const listing = getListing(dir);
+  const files = fs.readdirSync(dir).filter(isNoteFileName);
+  const present = new Set(files);
+  for (const file of listing.files.keys()) {
+    if (!present.has(file)) {
+      forget(dir, file);
+      listing.changed = true;
+    }
+  }
+  const entries = files.map(file => readEntry(dir, file)).filter(Boolean);
+  if (listing.changed) {
+    saveCache(dir, listing);
+  }
+  return entries;
+}
+
+// [{ file, id, mtimeMs, summary }] for every readable note file of dir
+export function listNoteFiles(dir) {
+  return listEntries(dir).filter(entry => !entry.error);
+}
+
+// Summaries of every readable note of dir, without reading unchanged files
+export function listNoteSummaries(dir) {
+  return listNoteFiles(dir).map(entry => entry.summary);
+}
+
+// [{ file, error }] for the files of dir that are not readable notes
+export function listUnreadableFiles(dir) {
+  return listEntries(dir).filter(entry => entry.error).map(({ file, error }) => ({ file, error }));
+}
+
+function forget(dir, file) {
+  const listing = getListing(dir);
+  const known = listing.files.get(file);
+  if (known && listing.ids.get(known.id) === file) {
+    listing.ids.delete(known.id);
+  }
+  listing.files.delete(file);
+}
+
+// Name of the file holding a note, or null (also for ids that are no note
+// ids, so a path can never reach outside dir)
+export function findNoteFile(dir, noteId) {
+  if (!isNoteId(noteId)) {
+    return null;
+  }
+  if (fs.existsSync(path.join(dir, `${noteId}.json`))) {
+    return `${noteId}.json`;
+  }
+  const known = getListing(dir).ids.get(noteId);
+  if (known) {
+    const entry = readEntry(dir, known);
+    if (entry && entry.id === noteId) {
+      return known;
+    }
+  }
+  const entry = listNoteFiles(dir).find(candidate => candidate.id === noteId);
+  return entry ? entry.file : null;
+}
+
+// Format of the file holding a note ("json" or "markdown"), or null
+export function getNoteFileFormat(dir, noteId) {
+  const file = findNoteFile(dir, noteId);
+  if (!file) {
+    return null;
+  }
+  return file.endsWith('.md') ? 'markdown' : 'json';
+}
+
+export function readNoteFile(dir, noteId) {
+  const file = findNoteFile(dir, noteId);
+  return file ? readNoteFileByName(dir, file) : null;
+}
+
+export function readNoteFileByName(dir, file) {
+  const filePath = path.join(dir, file);
+  return parseNoteText(file, fs.readFileSync(filePath, 'utf8'), fs.statSync(filePath).mtimeMs);
+}
+
+// Every readable note of dir
+export function readNoteFiles(dir) {
+  const notes = [];
+  for (const entry of listNoteFiles(dir)) {
+    try {
+      notes.push(readNoteFileByName(dir, entry.file));
+    } catch (error) {
+      // Broken since it was listed: reported from now on
+      remember(dir, entry.file, { mtimeMs: entry.mtimeMs, error: error.message });
+    }
+  }
+  return notes;
+}
+
+// "<slug>.md", or "<slug>-2.md" and so on if that name is taken
+export function getFreeFileName(dir, slug) {
+  for (let n = 1; ; n++) {
+    const file = n === 1 ? `${slug}.md` : `${slug}-${n}.md`;
+    if (!fs.existsSync(path.join(dir, file))) {
+      return file;
+    }
+  }
+}
+
+// Markdown files keep their name while the title gives the same slug
+function isNamedAfter(file, title) {
+  const slug = slugify(title);
+  return file === `${slug}.md` || (file.startsWith(`${slug}-`) && /^-\d+\.md$/.test(file.slice(slug.length)));
+}
+
+// Writes a note in the format, replacing the file it was in. Returns the path.
+export function writeNoteFile(dir, stored, format) {
+  if (!isNoteId(stored.id)) {
+    throw new Error(`Invalid note id: ${stored.id}`);
+  }
+  const current = findNoteFile(dir, stored.id);
+  let file;
+  if (format === 'json') {
+    file = `${stored.id}.json`;
+  } else if (current && current.endsWith('.md') && isNamedAfter(current, stored.title)) {
+    file = current;
+  } else {
+    file = getFreeFileName(dir, slugify(stored.title));
+  }
+  const filePath = path.join(dir, file);
+  writeFileAtomic(filePath, serializeNote(stored, format));
+  if (current && current !== file) {
+    fs.rmSync(path.join(dir, current), { force: true });
+    forget(dir, current);
+  }
+  remember(dir, file, { mtimeMs: fs.statSync(filePath).mtimeMs, id: stored.id, summary: summarizeNote(stored) });
+  return filePath;
+}
+
+export function removeNoteFile(dir, noteId) {
+  const file = findNoteFile(dir, noteId);
+  if (!file) {
+    return false;
+  }
+  fs.unlinkSync(path.join(dir, file));
+  forget(dir, file);
+  getListing(dir).changed = true;
+  return true;
+}
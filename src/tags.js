@@ -0,0 +1,41 @@
+// Inline hashtags: "#tag" at the start of a word. Markdown headings ("# Title")
+// and URL fragments ("page#section") don't match.
+const HASHTAG_RE = /(^|[^\p{L}\p{N}_&#/])#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+
+export function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+}
+
+export function normalizeTags(tags) {
+  const result = [];
+  for (const tag of tags || []) {
+    const normalized = normalizeTag(tag);
+    if (normalized && !result.includes(normalized)) {
+      result.push(normalized);
+    }
+  }
+  return result;
+}
+
+// "work, ideas #later" -> ['work', 'ideas', 'later']
+export function parseTagList(text) {
+  return normalizeTags((text || '').split(/[\s,]+/));
+}
+
+export function extractHashtags(content) {
+  const tags = [];
+  for (const match of (content || '').matchAll(HASHTAG_RE)) {
+    tags.push(match[2]);
+  }
+  return normalizeTags(tags);
+}
+
+// Explicit tags plus the hashtags found in the content (note summaries carry
+// them as hashtags)
+export function getNoteTags(note) {
+  return normalizeTags([...(note.tags || []), ...(note.hashtags || extractHashtags(note.content))]).sort();
+}
+
+export function noteHasTag(note, tag) {
+  return getNoteTags(note).includes(normalizeTag(tag));
+}
@@ -0,0 +1,36 @@
+// Markdown task lines ("- [ ] todo", "* [x] done") in note content. Tasks
+// are addressed by their 0-based line number; lines inside fenced code
+// blocks are not tasks, as in the rendered note.
+
+const TASK_RE = /^(\s*[-*+]\s+\[)([ xX])(\]\s+)(.*)$/;
+
+export function extractTasks(text) {
+  const tasks = [];
+  let fence = null;
+  (text || '').split('\n').forEach((line, index) => {
+    const marker = /^\s*(```|~~~)/.exec(line);
+    if (marker && (!fence || marker[1] === fence)) {
+      fence = fence ? null : marker[1];
+      return;
+    }
+    const match = fence ? null : TASK_RE.exec(line);
+    if (match) {
+      tasks.push({ line: index, text: match[4], done: match[2] !== ' ' });
+    }
+  });
+  return tasks;
+}
+
+// Returns the content with the task on the given line checked (done = true)
+// or unchecked, or toggled when done is omitted
+export function setTaskDone(text, lineIndex, done) {
+  const lines = text.split('\n');
+  const task = extractTasks(text).find(entry => entry.line === lineIndex);
+  if (!task) {
+    throw new Error(`No task on line ${lineIndex + 1}`);
+  }
+  const checked = done === undefined ? !task.done : done;
+  lines[lineIndex] = lines[lineIndex].replace(TASK_RE, (m, open, mark, close, rest) =>
+    `${open}${checked ? 'x' : ' '}${close}${rest}`);
+  return lines.join('\n');
+}
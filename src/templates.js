@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './config.js';
+import { formatWhen } from './dates.js';
+
+// Note templates: every <configDir>/templates/<name>.md is the starting
+// content of notes made from it. Placeholders are filled in at creation:
+//
+//   {{date}} {{time}}     the day ("2025-03-14") and time ("17:30")
+//   {{weekday}}           "Friday"
+//   {{title}}             the title of the note
+//   {{prompt:Attendees}}  a value asked for when the note is created
+//
+// Placeholders without a value are left as they are.
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const PLACEHOLDER = /\{\{\s*(?:(prompt):\s*)?([^{}]*?)\s*\}\}/g;
+
+export function getTemplatesDir() {
+  return path.join(getConfigDir(), 'templates');
+}
+
+export function listTemplates() {
+  const dir = getTemplatesDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(file => file.endsWith('.md')).map(file => file.slice(0, -3)).sort();
+}
+
+export function loadTemplate(name) {
+  const filePath = path.join(getTemplatesDir(), `${name}.md`);
+  const names = listTemplates();
+  if (!names.includes(name)) {
+    throw new Error(names.length > 0
+      ? `Unknown template "${name}" (available: ${names.join(', ')})`
+      : `Unknown template "${name}", add it as ${filePath}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+// Labels of the {{prompt:...}} placeholders, each once, in order
+export function getTemplatePrompts(text) {
+  const labels = [...text.matchAll(PLACEHOLDER)].filter(match => match[1]).map(match => match[2]);
+  return [...new Set(labels)];
+}
+
+// date, time and weekday of a moment
+export function getDateValues(now = new Date()) {
+  const [date, time] = formatWhen(now).split(' ');
+  return { date, time, weekday: WEEKDAYS[now.getDay()] };
+}
+
+// values: { date, time, weekday, title, prompts: { label: value } }
+export function fillTemplate(text, values) {
+  return text.replace(PLACEHOLDER, (placeholder, prompt, name) => {
+    const source = (prompt ? values.prompts : values) || {};
+    const value = Object.hasOwn(source, name) ? source[name] : undefined;
+    return typeof value === 'string' ? value : placeholder;
+  });
+}
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir, loadConfig, saveConfig } from './config.js';
+
+// Colour themes of the full-screen UI. Besides the built-in ones, every
+// <configDir>/themes/<name>.json is a theme; it only needs the keys it
+// changes, the rest come from the theme named in its "extends" key (dark by
+// default). A file named like a built-in theme changes that theme.
+//
+// "accents" maps the colours used inside text (dates, tags, warnings,
+// Markdown highlighting, ...) to the colour actually drawn; null leaves that
+// text in the foreground colour.
+
+export const DEFAULT_THEME = 'dark';
+
+const BUILTIN_THEMES = {
+  dark: {
+    background: 'black',
+    foreground: 'white',
+    bannerFg: 'brightcyan',    // Banner ASCII color
+    bannerFont: 'Slant',       // figlet font of the banner
+    borderFg: 'brightcyan',    // Borders
+    primaryBg: 'brightmagenta',// Buttons "Okay"/"Submit"/"Save"
+    primaryFg: 'white',
+    secondaryBg: 'red',        // Button "Cancel"
+    secondaryFg: 'white',
+    highlightBg: 'brightcyan', // Focused button, hover
+    highlightFg: 'black',
+    selectedBg: 'brightmagenta',// Selected line of a list
+    selectedFg: 'white',
+    instructionFg: 'black',
+    instructionBg: 'brightyellow',
+    errorBg: 'brightred',
+    errorFg: 'white',
+    accents: {}
+  },
+  light: {
+    extends: 'dark',
+    background: 'white',
+    foreground: 'black',
+    bannerFg: 'blue',
+    bannerFont: 'Standard',
+    borderFg: 'blue',
+    primaryBg: 'blue',
+    highlightBg: 'cyan',
+    selectedBg: 'blue',
+    instructionFg: 'white',
+    instructionBg: 'blue',
+    errorBg: 'red',
+    accents: { yellow: 'magenta', cyan: 'blue' }
+  },
+  'high-contrast': {
+    extends: 'dark',
+    bannerFg: 'brightwhite',
+    bannerFont: 'Standard',
+    borderFg: 'brightwhite',
+    primaryBg: 'brightwhite',
+    primaryFg: 'black',
+    secondaryBg: 'brightred',
+    highlightBg: 'brightyellow',
+    selectedBg: 'brightyellow',
+    selectedFg: 'black',
+    instructionFg: 'black',
+    instructionBg: 'brightwhite',
+    accents: { green: 'brightgreen', yellow: 'brightyellow', cyan: 'brightcyan', red: 'brightred', magenta: 'brightmagenta', blue: 'brightblue', gray: 'white' }
+  },
+  // Black and white only, for terminals without colours
+  monochrome: {
+    extends: 'dark',
+    bannerFg: 'white',
+    bannerFont: 'Standard',
+    borderFg: 'white',
+    primaryBg: 'white',
+    primaryFg: 'black',
+    secondaryBg: 'black',
+    secondaryFg: 'white',
+    highlightBg: 'white',
+    highlightFg: 'black',
+    selectedBg: 'white',
+    selectedFg: 'black',
+    instructionFg: 'black',
+    instructionBg: 'white',
+    errorBg: 'white',
+    errorFg: 'black',
+    accents: { green: null, yellow: null, cyan: null, red: null, magenta: null, blue: null, gray: null }
+  }
+};
+
+function getThemesDir() {
+  return path.join(getConfigDir(), 'themes');
+}
+
+function readThemeFile(name) {
+  const filePath = path.join(getThemesDir(), `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid theme file ${filePath}: ${error.message}`);
+  }
+}
+
+// Built-in themes first, then the ones only found in the themes directory
+export function listThemes() {
+  const dir = getThemesDir();
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5))
+    : [];
+  return [...new Set([...Object.keys(BUILTIN_THEMES), ...files.sort()])];
+}
+
+export function loadTheme(name, seen = []) {
+  if (seen.includes(name)) {
+    throw new Error(`Theme "${name}" extends itself`);
+  }
+  const builtin = BUILTIN_THEMES[name];
+  const file = readThemeFile(name);
+  if (!builtin && !file) {
+    throw new Error(`Unknown theme "${name}" (available: ${listThemes().join(', ')})`);
+  }
+  const definition = { ...builtin, ...file, accents: { ...builtin?.accents, ...file?.accents } };
+  const parentName = definition.extends || (name === DEFAULT_THEME ? null : DEFAULT_THEME);
+  const parent = parentName ? loadTheme(parentName, [...seen, name]) : {};
+  const theme = { ...parent, ...definition, name, accents: { ...parent.accents, ...definition.accents } };
+  delete theme.extends;
+  return theme;
+}
+
+// "theme" in config.json, which the UI updates when the theme is switched
+export function getThemeName() {
+  return loadConfig().theme || DEFAULT_THEME;
+}
+
+export function setThemeName(name) {
+  saveConfig({ theme: name });
+}
+
+export function nextThemeName(name) {
+  const names = listThemes();
+  return names[(names.indexOf(name) + 1) % names.length];
+}
+
+// Recolours {color-fg} markup with the theme's accents. Tags spell bright
+// colours with a dash ("bright-red"), styles without ("brightred").
+export function applyAccents(markup, theme) {
+  return markup.replace(/\{(\/?)([a-z]+)-fg\}/g, (tag, close, color) => {
+    if (!(color in theme.accents)) {
+      return tag;
+    }
+    const accent = theme.accents[color];
+    return accent ? `{${close}${accent.replace(/^(bright|light)(?=\w)/, '$1-')}-fg}` : '';
+  });
+}
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+
+// Passphrase-protected vault for encrypted notes. <notesDir>/.vault.json holds
+// the scrypt salt and parameters plus a check value encrypted with the derived
+// key, so a wrong passphrase is detected on unlock. Note contents are sealed
+// with AES-256-GCM (a fresh IV per write) under that key, with the note id as
+// additional data so a cipher copied into another note fails to open.
+//
+// The key only ever lives in memory: the vault is locked again when the
+// process exits or lockVault() is called.
+
+const VAULT_VERSION = 1;
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const CHECK_TEXT = 'taccuino-vault';
+
+let unlocked = null; // { notesDir, key }
+
+function getVaultFilePath(notesDir) {
+  return path.join(notesDir, '.vault.json');
+}
+
+export function loadVault(notesDir) {
+  const filePath = getVaultFilePath(notesDir);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function saveVault(notesDir, vault) {
+  writeFileAtomic(getVaultFilePath(notesDir), JSON.stringify(vault, null, 2), { mode: 0o600 });
+}
+
+function deriveKey(passphrase, vault) {
+  const { N, r, p } = vault.kdf;
+  return crypto.scryptSync(passphrase, Buffer.from(vault.kdf.salt, 'base64'), KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 128 * N * r * 2
+  });
+}
+
+// bound marks data sealed with aad; ciphers written before that have no
+// additional data and are opened without it
+function seal(key, text, aad = null) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad !== null) {
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return {
+    alg: 'aes-256-gcm',
+    ...(aad !== null && { bound: true }),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function open(key, sealed, aad = null) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+  if (sealed.bound) {
+    decipher.setAAD(Buffer.from(aad ?? '', 'utf8'));
+  }
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(sealed.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+export function hasVault(notesDir) {
+  return fs.existsSync(getVaultFilePath(notesDir));
+}
+
+export function initVault(notesDir, passphrase) {
+  if (hasVault(notesDir)) {
+    throw new Error('A vault already exists for this notes directory');
+  }
+  if (!passphrase) {
+    throw new Error('Passphrase is required');
+  }
+  const vault = {
+    version: VAULT_VERSION,
+    kdf: { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS },
+    encryptAll: false
+  };
+  const key = deriveKey(passphrase, vault);
+  vault.check = seal(key, CHECK_TEXT);
+  saveVault(notesDir, vault);
+  unlocked = { notesDir, key };
+  return vault;
+}
+
+export function unlockVault(notesDir, passphrase) {
+  const vault = loadVault(notesDir);
+  if (!vault) {
+    throw new Error('No vault in this notes directory, create one with "taccuino vault init"');
+  }
+  const key = deriveKey(passphrase, vault);
+  try {
+    if (open(key, vault.check) !== CHECK_TEXT) {
+      throw new Error('check mismatch');
+    }
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  unlocked = { notesDir, key };
+}
+
+export function lockVault() {
+  unlocked = null;
+}
+
+export function isVaultUnlocked(notesDir) {
+  return unlocked !== null && unlocked.notesDir === notesDir;
+}
+
+// Whether new notes are encrypted automatically ("vault encrypt --all")
+export function isEncryptAll(notesDir) {
+  const vault = loadVault(notesDir);
+  return Boolean(vault && vault.encryptAll);
+}
+
+export function setEncryptAll(notesDir, value) {
+  const vault = loadVault(notesDir);
+  if (!vault) {
+    throw new Error('No vault in this notes directory');
+  }
+  vault.encryptAll = value;
+  saveVault(notesDir, vault);
+}
+
+function requireKey(notesDir) {
+  if (!isVaultUnlocked(notesDir)) {
+    throw new Error('Vault is locked');
+  }
+  return unlocked.key;
+}
+
+export function encryptText(notesDir, text, noteId) {
+  return seal(requireKey(notesDir), text, noteId);
+}
+
+export function decryptText(notesDir, sealed, noteId) {
+  return open(requireKey(notesDir), sealed, noteId);
+}
+
+// Binary data (attachments) is sealed into a single buffer: the IV, the
+// authentication tag and the encrypted bytes
+export function encryptData(notesDir, data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', requireKey(notesDir), iv);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+}
+
+export function decryptData(notesDir, sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', requireKey(notesDir), sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+}